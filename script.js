@@ -19,6 +19,7 @@
       navToggle: '[data-ui="nav-toggle"]',
       navMenu: '#nav-menu',
       navLinks: '.nav__link',
+      navIndicator: '[data-ui="nav-active"]',
       progressBar: '[data-ui="progress-bar"]',
       heroTitle: '.hero__title',
       animReveal: '[data-anim="reveal"]',
@@ -32,10 +33,13 @@
       showDots: '[data-ui="show-dots"] button',
       form: '[data-ui="form"]',
       formStatus: '[data-ui="form-status"]',
+      newsletter: '[data-ui="newsletter"]',
+      newsletterStatus: '[data-ui="newsletter-status"]',
       overlay: '[data-ui="overlay"]',
       modalClose: '[data-ui="modal-close"]',
-      modalOK: '[data-ui="modal-ok"]',
+      tplModal: '#tpl-modal',
       tplToast: '#tpl-toast',
+      toasts: '[data-ui="toasts"]',
       fpsEl: '#fps',
       trisEl: '#tris',
       memEl: '#mem',
@@ -44,13 +48,85 @@
       magneticElements: '[data-hover="magnetic"]',
       hoverUnderline: '[data-hover="underline"]',
       data3dCard: '[data-3d="card"]',
+      tiltTargets: '[data-3d="card"], [data-3d="hover"], [data-3d="rotate"], [data-3d="lift"], [data-3d="tilt"], [data-3d="panel"], [data-tilt]',
+      sections: '[data-section]',
+      poster: '[data-ui="poster"]',
+      main: '[data-ui="main"]',
+      progress: '[data-ui="progress"]',
+      themeToggle: '[data-ui="theme-toggle"]',
+      motionToggle: '[data-ui="motion-toggle"]',
       splitWords: '[data-split="words"]',
-      splitChars: '[data-split="chars"]'
+      splitChars: '[data-split="chars"]',
+      // page content that keeps pointer events to itself; anywhere else a press goes through to the scene
+      sceneBlockers: 'a, button, input, select, textarea, label, summary, [role="button"], [role="tab"], [contenteditable], [data-3d], [data-tilt], [data-ui="show-track"], [data-ui="header"], [data-ui="overlay"], [data-ui="toasts"]'
     },
     three: {
-      clearColor: 0x07080b,
       pixelRatioLimit: 2,
-      camera: { fov: 45, near: 0.1, far: 1000, x: 0, y: 0, z: 6 }
+      // pre-rendered image shown under the CSS gradient poster until the live scene has drawn
+      // (empty keeps the gradient only); the scene boots when idle or after bootTimeout ms
+      poster: '',
+      bootTimeout: 1500,
+      // GPU context loss: more than maxLosses within `window` ms, or no restore within restoreTimeout ms,
+      // switches the page to the static scene for the rest of the session
+      recovery: {
+        maxLosses: 3,
+        window: 60000,
+        restoreTimeout: 5000,
+        storageKey: 'futurum:webgl-failed'
+      },
+      // post-processing (see createPostStack): the bloom only picks up objects on the bloom layer
+      // (particles and tori); resolution scales the bloom targets, levels (1-4) sets how far it spreads.
+      // samples is the scene target's MSAA count, read once when the scene boots
+      post: {
+        enabled: true,
+        samples: 4,
+        bloom: { enabled: true, strength: 1.1, radius: 0.55, threshold: 0.05, resolution: 0.5, levels: 3 },
+        aberration: { enabled: true, amount: 0.004 },
+        vignette: { enabled: true, offset: 0.35, darkness: 0.55 },
+        grain: { enabled: true, amount: 0.04 }
+      },
+      // camera mode: 'off', 'hover-parallax' (the camera drifts after a mouse or pen), 'drag-orbit'
+      // (OrbitControls while orbit.section is on screen) or 'auto-tour' (a slow sweep after tour.idle
+      // seconds without input; any input stops it). Vertical touch swipes always scroll the page
+      controls: {
+        mode: 'hover-parallax',
+        parallax: { strength: [0.5, 0.3], damping: 0.05 },
+        // azimuth and polar are the reach in radians either side of the section's pose
+        orbit: { section: 'hero', azimuth: 0.8, polar: 0.45, rotateSpeed: 0.6, damping: 0.08 },
+        // speed is the sweep's angular frequency in radians per second
+        tour: { idle: 10, speed: 0.25, yaw: 0.5, lift: 0.3 }
+      },
+      // pointer picking in the scene: registered objects receive pointerenter / pointerleave / click;
+      // a press that moves less than tapSlop px within tapTime ms counts as a click (mouse, pen and touch)
+      // outline.color empty follows the theme's light color; links maps a torus index to a section
+      interaction: {
+        enabled: true,
+        tapSlop: 8,
+        tapTime: 500,
+        outline: { color: '', scale: 1.08, opacity: 0.55 },
+        links: { 0: '#about', 2: '#services', 4: '#achievements', 6: '#contact' }
+      },
+      camera: { fov: 45, near: 0.1, far: 1000, x: 0, y: 0, z: 6 },
+      // scroll choreography: one pose per [data-section]; data-camera, data-camera-target and
+      // data-scene-* attributes on the section override these values
+      // model manifest: { url, critical, section, position: [x,y,z], rotation: [x,y,z], scale: n | [x,y,z] }
+      // critical models hold body[data-ready] at "false" until they are in the scene
+      models: [],
+      choreography: {
+        enabled: true,
+        // 0..1 per 60Hz frame; lower values give a longer, softer scrub
+        damping: 0.06,
+        poses: {
+          hero: { camera: [0, 0, 6], target: [0, 0, 0], scene: { spin: 0, tilt: 0, tori: 1, particles: 1, light: 0.9 } },
+          about: { camera: [2.4, 0.6, 7.2], target: [0.6, 0, 0], scene: { spin: 0.4, tilt: 0.08, tori: 0.92, particles: 0.8, light: 0.7 } },
+          services: { camera: [-2.6, 1.2, 6.4], target: [-0.4, 0.2, 0], scene: { spin: -0.5, tilt: 0.14, tori: 1.05, particles: 1, light: 1.1 } },
+          achievements: { camera: [0, 2.8, 8.4], target: [0, 0, -1], scene: { spin: 0.9, tilt: 0.32, tori: 1.2, particles: 1.2, light: 1.3 } },
+          showcase: { camera: [3.2, -0.4, 5.2], target: [0, 0, -2], scene: { spin: 1.4, tilt: -0.1, tori: 0.85, particles: 0.6, light: 0.8 } },
+          testimonials: { camera: [-3, 0.8, 7.6], target: [0, 0.4, 0], scene: { spin: 2, tilt: 0.05, tori: 1, particles: 0.9, light: 0.9 } },
+          contact: { camera: [0, -1.2, 9], target: [0, 0, -2], scene: { spin: 2.4, tilt: -0.2, tori: 0.8, particles: 0.7, light: 0.6 } },
+          cta: { camera: [0, 0, 4.6], target: [0, 0, 0], scene: { spin: 3.1, tilt: 0, tori: 1.25, particles: 1.3, light: 1.4 } }
+        }
+      }
     },
     lenis: {
       duration: 1.2,
@@ -59,8 +135,142 @@
     gsap: {
       defaults: { duration: 0.8, ease: 'power3.out' }
     },
+    // pointer tilt engine: max rotation in degrees, lift in px along Z, glare layer on/off per mode
+    tilt: {
+      perspective: 900,
+      gyro: true,
+      modes: {
+        card: { max: 10, lift: 0, glare: true },
+        hover: { max: 5, lift: 22, glare: true },
+        rotate: { max: 14, lift: 10, glare: false, axis: 'y' },
+        lift: { max: 0, lift: 16, glare: false },
+        tilt: { max: 10, lift: 8, glare: false },
+        panel: { max: 4, lift: 12, glare: true }
+      },
+      intensity: { small: 0.6, tiny: 0.35 }
+    },
+    // contact form transport; encoding is 'json' or 'form-data'
+    // an empty endpoint falls back to the form's action attribute; with neither (action="#", as on the
+    // static demo) submissions are accepted locally after a short delay
+    form: {
+      endpoint: '',
+      method: 'POST',
+      encoding: 'json',
+      timeout: 10000,
+      retries: 3,
+      backoff: 600,
+      queueKey: 'futurum:form-queue'
+    },
+    // newsletter: provider endpoint, double opt-in bookkeeping and repeat-submit limits; a signup or
+    // `attempts` tries (failed ones included) block further submits for `cooldown` ms. Without an
+    // endpoint (the static demo) signups are simulated
+    newsletter: {
+      endpoint: '',
+      storageKey: 'futurum:newsletter',
+      cooldown: 30000,
+      attempts: 3,
+      timeout: 8000
+    },
+    // showcase carousel: autoplay is a delay in ms (0 = off, data-autoplay on the track overrides it),
+    // momentum is how many ms of flick velocity carry on after a drag, breakpoints map a minimum
+    // viewport width to slides per view
+    showcase: {
+      loop: true,
+      autoplay: 0,
+      duration: 0.7,
+      momentum: 260,
+      breakpoints: { 0: 1, 1100: 2 },
+      // mirror the slides into the 3D scene as a ring of panels around `anchor` (world space) that
+      // turns with the carousel; a slide's data-model replaces its image panel with a GLTF model
+      scene: {
+        enabled: true,
+        anchor: [0, 0, -2],
+        radius: 3,
+        panel: [2.4, 1.5],
+        // camera drift per slide change: sideways spread across the slides and a short push in
+        sway: 0.6,
+        push: 0.5
+      }
+    },
+    // adaptive quality: tiers ordered low → ultra; the governor steps down when the average FPS stays under
+    // `target` for `downWindow` ms and back up when it stays above `upFps` for `upWindow` ms
+    quality: {
+      enabled: true,
+      initial: 'high',
+      order: ['low', 'medium', 'high', 'ultra'],
+      target: 50,
+      upFps: 58,
+      downWindow: 2000,
+      upWindow: 8000,
+      cooldown: 3000,
+      storageKey: 'futurum:quality',
+      tiers: {
+        ultra: { pixelRatio: 2, shadows: true, shadowMapSize: 2048, particles: 640, torusSegments: [24, 96], post: true },
+        high: { pixelRatio: 1.5, shadows: true, shadowMapSize: 1024, particles: 420, torusSegments: [20, 80], post: true },
+        medium: { pixelRatio: 1.25, shadows: true, shadowMapSize: 512, particles: 260, torusSegments: [14, 56], post: true },
+        low: { pixelRatio: 1, shadows: false, shadowMapSize: 256, particles: 120, torusSegments: [10, 36], post: false }
+      }
+    },
+    // developer diagnostics panel (Alt+D or ?hud in the URL)
+    hud: {
+      captureSeconds: 10,
+      graphFrames: 180,
+      longFrame: 50
+    },
+    // frame scheduler: dt is clamped to maxDelta (ms) so a stalled tab does not teleport animations
+    frame: {
+      phases: ['input', 'scroll', 'simulation', 'render', 'hud'],
+      maxDelta: 100,
+      budget: 16.7
+    },
+    // named themes: `css` custom properties are set on <html> on top of the html[data-theme] rules in
+    // style.css, `scene` is the palette setupThree() tweens to; torus hues run from hue to hue + range
+    theme: {
+      // 'system' follows prefers-color-scheme until the user picks a theme with the toggle
+      initial: 'system',
+      storageKey: 'futurum:theme',
+      duration: 0.8,
+      themes: {
+        dark: {
+          meta: '#0e0f13',
+          css: {},
+          scene: {
+            fog: 0x000011,
+            hemiSky: 0x88ccff,
+            hemiGround: 0x0b0b17,
+            env: 0x001122,
+            plane: 0x031219,
+            particles: 0x00f6ff,
+            light: 0x00f6ff,
+            torus: { hue: 0.55, range: 0.25, saturation: 0.7, lightness: 0.48 }
+          }
+        },
+        light: {
+          meta: '#f6f8ff',
+          css: {},
+          scene: {
+            fog: 0xeef1f9,
+            hemiSky: 0xffffff,
+            hemiGround: 0xc9d3e6,
+            env: 0xdfe8f7,
+            plane: 0xe4eaf5,
+            particles: 0x1f7bff,
+            light: 0x5ac8ff,
+            torus: { hue: 0.55, range: 0.25, saturation: 0.62, lightness: 0.58 }
+          }
+        }
+      }
+    },
+    // motion preference: 'system' follows prefers-reduced-motion, 'reduce' and 'full' override it;
+    // a choice made with the toggle is remembered under storageKey
+    motion: {
+      preference: 'system',
+      storageKey: 'futurum:motion'
+    },
     ui: {
       toastTimeout: 4200,
+      // toasts beyond this wait in a queue until a visible one goes away
+      toastMax: 3,
       statsUpdateInterval: 800
     }
   };
@@ -154,6 +364,233 @@
     }
   }
 
+  // Collects teardown work for one module: listeners registered through scope.on are removed and
+  // every function passed to scope.add runs (last in, first out) when dispose() is called
+  function createScope() {
+    const cleanups = [];
+    return {
+      on(el, ev, fn, opts) {
+        if (!el || !el.addEventListener) return;
+        on(el, ev, fn, opts);
+        cleanups.push(() => off(el, ev, fn, opts));
+      },
+      add(fn) {
+        if (typeof fn === 'function') cleanups.push(fn);
+        return fn;
+      },
+      dispose() {
+        while (cleanups.length) {
+          try {
+            cleanups.pop()();
+          } catch (e) {
+            console.error('Cleanup error:', e);
+          }
+        }
+      }
+    };
+  }
+
+  /* ------------------------------
+   * Runtime configuration: defaults → JSON (file or inline block) → <body data-cfg-*> → ?cfg.* query
+   * ------------------------------ */
+  const Config = (function () {
+    // maps whose keys are user-defined (new section poses, extra tiers, …): only the value type is checked
+    const OPEN_KEYS = ['three.choreography.poses', 'three.models', 'quality.tiers', 'tilt.modes', 'tilt.intensity', 'theme.themes', 'showcase.breakpoints', 'three.interaction.links'];
+    // how long a src="" config file may take before the page boots on the other layers
+    const FETCH_TIMEOUT = 5000;
+    const issues = [];
+
+    function isPlainObject(v) {
+      return !!v && typeof v === 'object' && !Array.isArray(v);
+    }
+
+    function typeOf(v) {
+      return Array.isArray(v) ? 'array' : v === null ? 'null' : typeof v;
+    }
+
+    // validates `patch` against the shape of `base` and merges the valid parts into it
+    function merge(base, patch, source, prefix) {
+      Object.keys(patch).forEach((key) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        const value = patch[key];
+        if (!(key in base)) {
+          const parentOpen = OPEN_KEYS.indexOf(prefix) !== -1;
+          if (!parentOpen) {
+            issues.push({ source, path, problem: 'unknown key' });
+            return;
+          }
+          base[key] = value;
+          return;
+        }
+        const expected = typeOf(base[key]);
+        const actual = typeOf(value);
+        if (expected !== actual) {
+          issues.push({ source, path, problem: `expected ${expected}, got ${actual}` });
+          return;
+        }
+        if (expected === 'object' && OPEN_KEYS.indexOf(path) === -1) merge(base[key], value, source, path);
+        else if (expected === 'object') Object.assign(base[key], value);
+        else base[key] = value;
+      });
+    }
+
+    // string values from attributes and the query string are coerced to the type of the default
+    function coerce(raw, current) {
+      const type = typeOf(current);
+      if (type === 'number') {
+        const n = Number(raw);
+        return Number.isFinite(n) ? n : raw;
+      }
+      if (type === 'boolean') {
+        if (raw === '' || raw === 'true' || raw === '1') return true;
+        if (raw === 'false' || raw === '0') return false;
+        return raw;
+      }
+      if (type === 'object' || type === 'array') {
+        try {
+          return JSON.parse(raw);
+        } catch (e) {
+          return raw;
+        }
+      }
+      return raw;
+    }
+
+    // flattened leaf paths: 'three.pixelRatioLimit', 'ui.toastTimeout', …
+    function leafPaths(obj, prefix, out) {
+      Object.keys(obj).forEach((key) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (isPlainObject(obj[key]) && OPEN_KEYS.indexOf(path) === -1) leafPaths(obj[key], path, out);
+        else out.push(path);
+      });
+      return out;
+    }
+
+    function get(path) {
+      return path.split('.').reduce((o, k) => (o ? o[k] : undefined), CFG);
+    }
+
+    function fromPath(path, value) {
+      const out = {};
+      const keys = path.split('.');
+      keys.reduce((o, k, i) => {
+        o[k] = i === keys.length - 1 ? value : {};
+        return o[k];
+      }, out);
+      return out;
+    }
+
+    // data-cfg-three-pixel-ratio-limit="1.5" → three.pixelRatioLimit; matching ignores case and dots
+    function fromBody() {
+      const body = document.body;
+      if (!body) return;
+      const paths = leafPaths(CFG, '', []);
+      Object.keys(body.dataset).forEach((key) => {
+        if (key.indexOf('cfg') !== 0 || key.length <= 3) return;
+        const flat = key.slice(3).toLowerCase();
+        const path = paths.find((p) => p.replace(/\./g, '').toLowerCase() === flat);
+        if (!path) {
+          issues.push({ source: 'body', path: key, problem: 'unknown key' });
+          return;
+        }
+        merge(CFG, fromPath(path, coerce(body.dataset[key], get(path))), 'body', '');
+      });
+    }
+
+    // ?cfg.three.pixelRatioLimit=1&cfg.quality.enabled=false — for debugging only
+    function fromQuery() {
+      if (typeof URLSearchParams === 'undefined') return;
+      new URLSearchParams(location.search).forEach((raw, key) => {
+        if (key.indexOf('cfg.') !== 0) return;
+        const path = key.slice(4);
+        const current = get(path);
+        merge(CFG, fromPath(path, current === undefined ? raw : coerce(raw, current)), 'query', '');
+      });
+    }
+
+    // <script type="application/json" data-ui="config"> holds inline JSON, or points at a file via src
+    function fromScript() {
+      const el = q('script[type="application/json"][data-ui="config"]');
+      if (!el) return Promise.resolve();
+      const src = el.getAttribute('src');
+      // a hung request must not hold the page behind the loader: give up after FETCH_TIMEOUT ms
+      const controller = typeof AbortController === 'function' ? new AbortController() : null;
+      const timer = controller ? setTimeout(() => controller.abort(), FETCH_TIMEOUT) : 0;
+      const read = src
+        ? fetch(src, { credentials: 'same-origin', signal: controller ? controller.signal : undefined }).then((res) => {
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          return res.json();
+        })
+        : Promise.resolve().then(() => JSON.parse(el.textContent || '{}'));
+      return read.then((json) => {
+        clearTimeout(timer);
+        if (!isPlainObject(json)) throw new Error('config must be a JSON object');
+        merge(CFG, json, src || 'inline', '');
+      }).catch((err) => {
+        clearTimeout(timer);
+        const problem = err.name === 'AbortError' ? `no response within ${FETCH_TIMEOUT}ms` : err.message;
+        issues.push({ source: src || 'inline', path: '', problem });
+      });
+    }
+
+    // resolves once every layer is merged; issues are reported but never block the boot
+    function load() {
+      issues.length = 0;
+      return fromScript().then(() => {
+        fromBody();
+        fromQuery();
+        if (issues.length) {
+          console.warn('Configuration issues:');
+          issues.forEach((i) => console.warn(`  [${i.source}] ${i.path || '(root)'}: ${i.problem}`));
+        }
+        return CFG;
+      });
+    }
+
+    return { load, issues: () => issues.slice() };
+  })();
+
+  /* ------------------------------
+   * Event bus for cross-module events (form submitted, section changed, quality tier changed, …)
+   * ------------------------------ */
+  const Events = (function () {
+    const handlers = {};
+
+    // returns a function that removes the handler
+    function subscribe(name, fn) {
+      (handlers[name] = handlers[name] || []).push(fn);
+      return () => unsubscribe(name, fn);
+    }
+
+    function unsubscribe(name, fn) {
+      const list = handlers[name];
+      if (!list) return;
+      const i = list.indexOf(fn);
+      if (i !== -1) list.splice(i, 1);
+    }
+
+    function once(name, fn) {
+      const remove = subscribe(name, (payload) => {
+        remove();
+        fn(payload);
+      });
+      return remove;
+    }
+
+    // a throwing handler is logged and does not stop the others
+    function emit(name, payload) {
+      (handlers[name] || []).slice().forEach((fn) => {
+        try {
+          fn(payload);
+        } catch (e) {
+          console.error(`Event handler for "${name}" failed:`, e);
+        }
+      });
+    }
+
+    return { on: subscribe, off: unsubscribe, once, emit };
+  })();
+
   // Simple accessibility focus trap for modals (lightweight)
   function trapFocus(container) {
     const focusable = 'a[href], area[href], input:not([disabled]), select:not([disabled]), textarea:not([disabled]), button:not([disabled]), iframe, [tabindex]:not([tabindex="-1"])';
@@ -209,65 +646,275 @@
    * Toast / Notification system
    * ------------------------------ */
   const Toast = (function () {
-    const tpl = q(CFG.selectors.tplToast);
-    const container = document.body;
+    const ICONS = { info: 'ℹ', success: '✓', warning: '⚠', error: '✕' };
+    const live = new Set();
+    const queue = [];
+    // node → entry, and "type:text" → entry for deduplication
+    const entries = new Map();
+    const byKey = new Map();
     let counter = 0;
-    function create(text = '', opts = {}) {
-      counter += 1;
-      const id = `toast-${counter}`;
-      const node = tpl.content.cloneNode(true).children[0];
-      node.id = id;
-      node.querySelector('.toast__text').textContent = text;
-      container.appendChild(node);
+
+    // the live region is in the markup so it exists before anything is announced into it
+    function region() {
+      let el = q(CFG.selectors.toasts);
+      if (!el) {
+        el = document.createElement('div');
+        el.className = 'toasts';
+        el.dataset.ui = 'toasts';
+        el.setAttribute('aria-live', 'polite');
+        document.body.appendChild(el);
+      }
+      return el;
+    }
+
+    function start(entry) {
+      if (!entry.timeout || entry.timer || entry.held) return;
+      entry.since = now();
+      entry.timer = setTimeout(() => hide(entry.node), entry.remaining);
+    }
+
+    function pause(entry) {
+      if (!entry.timer) return;
+      clearTimeout(entry.timer);
+      entry.timer = null;
+      entry.remaining = Math.max(600, entry.remaining - (now() - entry.since));
+    }
+
+    function show(entry) {
+      const node = entry.node;
+      region().appendChild(node);
+      live.add(node);
       requestAnimationFrame(() => {
         node.style.opacity = '1';
         node.style.transform = 'translateY(0)';
         node.dataset.show = '1';
       });
-      const t = setTimeout(() => {
-        hide(node);
-      }, opts.timeout || CFG.ui.toastTimeout);
-      node.dataset._timeout = String(t);
+      start(entry);
+    }
+
+    // opts: { type: 'info'|'success'|'warning'|'error', timeout (0 keeps it until dismissed),
+    // action: { label, onClick } }; an identical visible or queued toast is refreshed instead
+    function create(text = '', opts = {}) {
+      const type = ICONS[opts.type] ? opts.type : 'info';
+      const key = `${type}:${text}`;
+      const existing = byKey.get(key);
+      if (existing) {
+        pause(existing);
+        existing.remaining = existing.timeout;
+        if (live.has(existing.node)) start(existing);
+        return existing.node;
+      }
+
+      counter += 1;
+      const node = q(CFG.selectors.tplToast).content.cloneNode(true).children[0];
+      node.id = `toast-${counter}`;
+      node.dataset.type = type;
+      // warnings and errors interrupt; everything else waits for the polite region
+      if (type === 'warning' || type === 'error') node.setAttribute('role', 'alert');
+      node.querySelector('.toast__icon').textContent = ICONS[type];
+      node.querySelector('.toast__text').textContent = text;
+      if (opts.action) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'toast__action';
+        btn.textContent = opts.action.label;
+        btn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          hide(node);
+          opts.action.onClick();
+        });
+        node.appendChild(btn);
+      }
+      const close = document.createElement('button');
+      close.type = 'button';
+      close.className = 'toast__close';
+      close.setAttribute('aria-label', 'Dismiss notification');
+      close.textContent = '×';
+      node.appendChild(close);
+
+      const timeout = opts.timeout === undefined ? CFG.ui.toastTimeout : opts.timeout;
+      const entry = { node, key, timeout, remaining: timeout, timer: null, since: 0, held: false };
+      entries.set(node, entry);
+      byKey.set(key, entry);
+
+      // timers hold while the pointer or keyboard focus is on the toast
+      function hold() {
+        entry.held = true;
+        pause(entry);
+      }
+      function release() {
+        if (node.matches(':hover') || node.contains(document.activeElement)) return;
+        entry.held = false;
+        start(entry);
+      }
+      node.addEventListener('mouseenter', hold);
+      node.addEventListener('focusin', hold);
+      node.addEventListener('mouseleave', release);
+      node.addEventListener('focusout', () => setTimeout(release, 0));
       node.addEventListener('click', () => hide(node));
+
+      if (live.size < CFG.ui.toastMax) show(entry);
+      else queue.push(entry);
       return node;
     }
+
     function hide(node) {
-      if (!node) return;
-      clearTimeout(Number(node.dataset._timeout));
+      const entry = entries.get(node);
+      if (!entry) return;
+      clearTimeout(entry.timer);
+      entries.delete(node);
+      byKey.delete(entry.key);
+      const queued = queue.indexOf(entry);
+      if (queued !== -1) {
+        queue.splice(queued, 1);
+        return;
+      }
       node.style.opacity = '0';
       node.style.transform = 'translateY(8px)';
+      live.delete(node);
       setTimeout(() => node.remove(), 340);
+      if (queue.length && live.size < CFG.ui.toastMax) show(queue.shift());
     }
-    return { create, hide };
+
+    function clear() {
+      entries.forEach((entry) => {
+        clearTimeout(entry.timer);
+        entry.node.remove();
+      });
+      entries.clear();
+      byKey.clear();
+      live.clear();
+      queue.length = 0;
+    }
+
+    return { create, hide, clear };
   })();
 
   /* ------------------------------
-   * Modal / overlay handling
+   * Modal service: stacked dialogs that resolve with the chosen action
    * ------------------------------ */
-  function openModal(text = '') {
-    const overlay = q(CFG.selectors.overlay);
-    if (!overlay) return;
-    overlay.querySelector('.modal__body p').textContent = text || 'Action completed';
-    overlay.hidden = false;
-    const cleanup = trapFocus(overlay.querySelector('.modal'));
-    const closeBtn = q(CFG.selectors.modalClose, overlay);
-    function closeHandler() {
-      overlay.hidden = true;
-      cleanup();
-      closeBtn.removeEventListener('click', closeHandler);
-    }
-    on(closeBtn, 'click', closeHandler);
-    on(overlay, 'escape', closeHandler);
-    on(q(CFG.selectors.modalOK, overlay), 'click', closeHandler);
-  }
+  const Modal = (function () {
+    const stack = [];
+    // background elements this service made inert (others may have been inert already)
+    const inerted = new Set();
+    let counter = 0;
+    let releaseScroll = null;
+
+    function fill(body, opts) {
+      if (opts.content instanceof Node) body.appendChild(opts.content);
+      else if (opts.html) body.innerHTML = opts.html;
+      else {
+        const p = document.createElement('p');
+        p.textContent = opts.content || '';
+        body.appendChild(p);
+      }
+    }
+
+    // everything outside the top-most dialog is inert, including dialogs underneath it
+    function syncBackground() {
+      const top = stack[stack.length - 1];
+      Array.from(document.body.children).forEach((el) => {
+        if (top && el !== top.overlay) {
+          if (!el.inert && !inerted.has(el)) {
+            el.inert = true;
+            inerted.add(el);
+          }
+        } else if (inerted.has(el)) {
+          el.inert = false;
+          inerted.delete(el);
+        }
+      });
+      if (!top) {
+        inerted.forEach((el) => {
+          el.inert = false;
+        });
+        inerted.clear();
+      }
+    }
+
+    // opts: string | { title, content (text or Node), html, actions: [{ label, value, primary }], dismissible }
+    // resolves with the value of the chosen action, or null when dismissed
+    function open(options) {
+      const opts = typeof options === 'string' ? { content: options } : (options || {});
+      const tpl = q(CFG.selectors.tplModal);
+      if (!tpl) return Promise.resolve(null);
+      counter += 1;
+      const overlay = tpl.content.cloneNode(true).children[0];
+      const dialog = q('.modal', overlay);
+      const title = q('.modal__title', overlay);
+      const foot = q('.modal__foot', overlay);
+      const dismissible = opts.dismissible !== false;
+      const entry = { overlay, dialog, opener: document.activeElement, release: null, resolve: null };
+      title.id = `modal-title-${counter}`;
+      title.textContent = opts.title || '';
+      dialog.setAttribute('aria-labelledby', title.id);
+      fill(q('.modal__body', overlay), opts);
+      const actions = opts.actions || [{ label: 'OK', value: true, primary: true }];
+      actions.forEach((action) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = action.primary ? 'btn btn--primary' : 'btn btn--outline';
+        btn.textContent = action.label;
+        btn.dataset.value = String(action.value);
+        foot.appendChild(btn);
+        on(btn, 'click', () => close(entry, action.value));
+      });
+      const closeBtn = q(CFG.selectors.modalClose, overlay);
+      if (dismissible) on(closeBtn, 'click', () => close(entry, null));
+      else closeBtn.remove();
+      on(overlay, 'click', (e) => {
+        if (dismissible && e.target === overlay) close(entry, null);
+      });
+      on(overlay, 'escape', () => {
+        if (dismissible && stack[stack.length - 1] === entry) close(entry, null);
+      });
+
+      const result = new Promise((resolve) => {
+        entry.resolve = resolve;
+      });
+      const below = stack[stack.length - 1];
+      if (below && below.release) below.release();
+      overlay.style.zIndex = `calc(var(--z-overlay) + ${stack.length})`;
+      document.body.appendChild(overlay);
+      stack.push(entry);
+      if (!releaseScroll) releaseScroll = Scroll.lock();
+      syncBackground();
+      entry.release = trapFocus(dialog);
+      const primary = q('.btn--primary', foot);
+      if (primary) primary.focus();
+      return result;
+    }
+
+    function close(entry, value) {
+      const i = stack.indexOf(entry);
+      if (i === -1) return;
+      stack.splice(i, 1);
+      if (entry.release) entry.release();
+      entry.overlay.remove();
+      syncBackground();
+      const top = stack[stack.length - 1];
+      if (top && i === stack.length) top.release = trapFocus(top.dialog);
+      if (!stack.length && releaseScroll) {
+        releaseScroll();
+        releaseScroll = null;
+      }
+      if (entry.opener && entry.opener.isConnected && typeof entry.opener.focus === 'function') entry.opener.focus();
+      entry.resolve(value);
+    }
+
+    return {
+      open,
+      // closes the top-most dialog with `value`
+      close: (value = null) => close(stack[stack.length - 1], value),
+      closeAll: () => stack.slice().reverse().forEach((entry) => close(entry, null)),
+      count: () => stack.length
+    };
+  })();
 
   /* ------------------------------
    * Lightweight analytics / perf monitor
    * ------------------------------ */
   const Perf = (function () {
-    const fpsEl = q(CFG.selectors.fpsEl);
-    const trisEl = q(CFG.selectors.trisEl);
-    const memEl = q(CFG.selectors.memEl);
     let last = now();
     let frames = 0;
     let fps = 0;
@@ -275,10 +922,14 @@
       frames++;
       const t = now();
       const dt = t - last;
-      if (dt >= 1000) {
+      if (dt >= CFG.ui.statsUpdateInterval) {
         fps = Math.round((frames * 1000) / dt);
         frames = 0;
         last = t;
+        // looked up per update: the selectors may come from the config layers merged after this runs
+        const fpsEl = q(CFG.selectors.fpsEl);
+        const trisEl = q(CFG.selectors.trisEl);
+        const memEl = q(CFG.selectors.memEl);
         if (fpsEl) fpsEl.textContent = String(fps);
         if (renderer && trisEl) {
           try {
@@ -301,525 +952,3719 @@
   })();
 
   /* ------------------------------
-   * Smooth scrolling via Lenis + GSAP scrollerProxy wiring
+   * Frame scheduler: one RAF loop, ordered phases, clamped delta time
    * ------------------------------ */
-  const Scroll = (function () {
-    let lenis;
-    function setup() {
-      lenis = new Lenis({
-        duration: CFG.lenis.duration,
-        easing: CFG.lenis.easing,
-        smooth: true,
-        direction: 'vertical'
-      });
-      function raf(time) {
-        lenis.raf(time);
-        requestAnimationFrame(raf);
-      }
-      requestAnimationFrame(raf);
-      gsap.ticker.add((t) => lenis && lenis.raf(t * 1000 / 60));
-      if (ScrollTrigger) {
-        ScrollTrigger.scrollerProxy(document.documentElement, {
-          scrollTop(value) {
-            if (arguments.length) {
-              lenis.scrollTo(value, { immediate: true });
-            }
-            return lenis.scroll.instance.scroll || 0;
-          },
-          getBoundingClientRect() {
-            return { top: 0, left: 0, width: window.innerWidth, height: window.innerHeight };
-          },
-          pinType: document.documentElement.style.transform ? 'transform' : 'fixed'
+  const Frame = (function () {
+    // task lists are created on first use: CFG.frame.phases is only final once Config.load() has run
+    const phases = {};
+    function tasks(name) {
+      return phases[name] || (phases[name] = []);
+    }
+    const timings = {};
+    let rafId = 0;
+    let last = 0;
+    let sceneVisible = true;
+    let overBudget = 0;
+
+    // tasks flagged { scene: true } only run while the watched canvas is on screen
+    function tick(time) {
+      rafId = requestAnimationFrame(tick);
+      const dt = last ? Math.min(time - last, CFG.frame.maxDelta) : 0;
+      last = time;
+      const frameStart = now();
+      CFG.frame.phases.forEach((name) => {
+        const start = now();
+        tasks(name).forEach((task) => {
+          if (task.scene && !sceneVisible) return;
+          task.fn(dt, time);
         });
-        ScrollTrigger.addEventListener('refresh', () => lenis && lenis.update());
-        ScrollTrigger.refresh();
-      }
-      return lenis;
+        timings[name] = now() - start;
+      });
+      timings.total = now() - frameStart;
+      if (timings.total > CFG.frame.budget) overBudget += 1;
+    }
+
+    function taskCount() {
+      return Object.keys(phases).reduce((n, name) => n + phases[name].length, 0);
+    }
+
+    function start() {
+      if (rafId || document.hidden || !taskCount()) return;
+      last = 0;
+      rafId = requestAnimationFrame(tick);
+    }
+
+    function stop() {
+      cancelAnimationFrame(rafId);
+      rafId = 0;
+    }
+
+    // fn(dt, time) runs every frame in the given phase, in the order added except that { late: true }
+    // tasks run after all the others of that phase; returns a function that unregisters it
+    function add(phase, fn, opts = {}) {
+      if (CFG.frame.phases.indexOf(phase) === -1) throw new Error(`Unknown frame phase "${phase}"`);
+      const task = { fn, scene: !!opts.scene, late: !!opts.late, name: opts.name || '' };
+      const list = tasks(phase);
+      const firstLate = list.findIndex((t) => t.late);
+      if (task.late || firstLate === -1) list.push(task);
+      else list.splice(firstLate, 0, task);
+      start();
+      return () => {
+        const i = phases[phase].indexOf(task);
+        if (i !== -1) phases[phase].splice(i, 1);
+        if (!taskCount()) stop();
+      };
+    }
+
+    // returns a function that stops watching
+    function watch(el) {
+      if (!el || !('IntersectionObserver' in window)) return () => {};
+      const io = new IntersectionObserver((entries) => {
+        sceneVisible = entries[entries.length - 1].isIntersecting;
+      });
+      io.observe(el);
+      return () => {
+        io.disconnect();
+        sceneVisible = true;
+      };
+    }
+
+    on(document, 'visibilitychange', () => {
+      if (document.hidden) stop();
+      else start();
+    });
+
+    // drive GSAP from this loop instead of its own RAF so tweens, Lenis and WebGL share one clock.
+    // The root time advances by the clamped dt, so after a hidden tab tweens carry on where they were
+    // instead of jumping to their end; the returned function hands GSAP back to its own ticker
+    function driveGsap() {
+      if (typeof gsap === 'undefined') return () => {};
+      const ticker = gsap.ticker;
+      ticker.remove(gsap.updateRoot);
+      let clock = ticker.time;
+      const remove = add('simulation', (dt) => {
+        clock += dt / 1000;
+        gsap.updateRoot(clock);
+        // new tweens and ScrollTrigger wake the ticker, which then schedules its own RAF again
+        ticker.sleep();
+      }, { name: 'gsap' });
+      return () => {
+        remove();
+        ticker.add(gsap.updateRoot);
+      };
     }
-    return { setup };
+
+    return {
+      add,
+      watch,
+      driveGsap,
+      start,
+      stop,
+      running: () => !!rafId,
+      stats: () => Object.assign({ overBudget }, timings)
+    };
   })();
 
   /* ------------------------------
-   * GSAP scroll animations & general UI entrance choreography
+   * Developer diagnostics panel: frame-time graph, renderer.info, phase timings, JSON capture
    * ------------------------------ */
-  function setupGSAPAnimations() {
-    gsap.defaults(CFG.gsap.defaults);
-    const st = ScrollTrigger;
-    // reveal simple
-    qAll(CFG.selectors.animReveal).forEach((el) => {
-      gsap.fromTo(el, { y: 24, opacity: 0 }, {
-        y: 0, opacity: 1, duration: 0.9, ease: 'power3.out',
-        scrollTrigger: { trigger: el, start: 'top 86%', end: 'top 46%' }
+  const Diagnostics = (function () {
+    const records = [];
+    let renderer = null;
+    let panel = null;
+    let graph = null;
+    let fields = {};
+    let longFrames = 0;
+    let remove = null;
+
+    function rendererInfo() {
+      if (!renderer) return null;
+      const info = renderer.info;
+      return {
+        calls: info.render.calls,
+        triangles: info.render.triangles,
+        geometries: info.memory.geometries,
+        textures: info.memory.textures,
+        programs: info.programs ? info.programs.length : 0
+      };
+    }
+
+    // ring buffer trimmed by time rather than count so the capture always spans captureSeconds
+    function record(dt, time) {
+      if (!dt) return;
+      const stats = Frame.stats();
+      const long = dt >= CFG.hud.longFrame;
+      if (long) longFrames += 1;
+      records.push({
+        t: Math.round(time),
+        dt: Math.round(dt * 100) / 100,
+        long,
+        phases: { input: stats.input, scroll: stats.scroll, simulation: stats.simulation, render: stats.render },
+        info: rendererInfo()
       });
-    });
-    // stagger children
-    qAll('[data-anim="stagger"]').forEach((container) => {
-      const children = Array.from(container.children);
-      gsap.fromTo(children, { y: 12, opacity: 0 }, {
-        y: 0, opacity: 1, duration: 0.7, ease: 'power3.out',
-        stagger: 0.08,
-        scrollTrigger: { trigger: container, start: 'top 88%' }
+      let span = 0;
+      for (let i = records.length - 1; i >= 0; i--) {
+        span += records[i].dt;
+        if (span > CFG.hud.captureSeconds * 1000) {
+          records.splice(0, i);
+          break;
+        }
+      }
+      if (panel && !panel.hidden) draw();
+    }
+
+    function build() {
+      const rows = ['fps', 'frame', 'long', 'calls', 'triangles', 'geometries', 'textures', 'programs', 'input', 'scroll', 'simulation', 'render'];
+      fields = {};
+      const list = DOM.el('dl', { class: 'diag__stats' });
+      rows.forEach((key) => {
+        fields[key] = DOM.el('dd', { text: '—' });
+        list.appendChild(DOM.el('dt', { text: key }));
+        list.appendChild(fields[key]);
       });
-    });
-    // in animations
-    qAll(CFG.selectors.animIn).forEach((el) => {
-      gsap.fromTo(el, { y: 18, opacity: 0 }, {
-        y: 0, opacity: 1, duration: 0.9, ease: 'power3.out',
-        scrollTrigger: { trigger: el, start: 'top 92%' }
+      graph = DOM.el('canvas', { class: 'diag__graph', width: '360', height: '80', 'aria-hidden': 'true' });
+      const exportBtn = DOM.el('button', { class: 'diag__btn', type: 'button', text: `Export ${CFG.hud.captureSeconds}s JSON` });
+      const closeBtn = DOM.el('button', { class: 'diag__btn', type: 'button', 'aria-label': 'Close diagnostics', text: '×' });
+      on(exportBtn, 'click', exportCapture);
+      on(closeBtn, 'click', toggle);
+      panel = DOM.el('aside', { class: 'diag', 'aria-label': 'Performance diagnostics', 'data-ui': 'diagnostics' }, [
+        DOM.el('header', { class: 'diag__head' }, [DOM.el('strong', { text: 'Diagnostics' }), exportBtn, closeBtn]),
+        graph,
+        list
+      ]);
+      panel.hidden = true;
+      document.body.appendChild(panel);
+    }
+
+    function fmt(v) {
+      return typeof v === 'number' ? (Math.round(v * 100) / 100).toString() : '—';
+    }
+
+    function draw() {
+      const last = records[records.length - 1];
+      if (!last) return;
+      const recent = records.slice(-CFG.hud.graphFrames);
+      const avg = recent.reduce((sum, r) => sum + r.dt, 0) / recent.length;
+      fields.fps.textContent = fmt(1000 / avg);
+      fields.frame.textContent = `${fmt(avg)}ms`;
+      fields.long.textContent = String(longFrames);
+      ['calls', 'triangles', 'geometries', 'textures', 'programs'].forEach((k) => {
+        fields[k].textContent = last.info ? String(last.info[k]) : '—';
       });
-    });
-    // counters
-    qAll(CFG.selectors.counters).forEach((el) => {
-      const parent = el.closest('.metric');
-      const target = num(parent && parent.dataset.count ? parent.dataset.count : el.dataset.count ? el.dataset.count : 0);
-      gsap.fromTo(el, { innerText: 0 }, {
-        innerText: target,
-        duration: 1.6,
-        ease: 'power3.out',
-        snap: { innerText: 1 },
-        onUpdate() {
-          el.textContent = Math.floor(this.targets()[0].innerText);
-        },
-        scrollTrigger: { trigger: el, start: 'top 86%', once: true }
+      ['input', 'scroll', 'simulation', 'render'].forEach((k) => {
+        fields[k].textContent = `${fmt(last.phases[k])}ms`;
       });
-    });
-    // hero copy
-    const heroCopy = q('.hero__copy');
-    if (heroCopy) {
-      gsap.fromTo(heroCopy, { y: 8, opacity: 0 }, { y: 0, opacity: 1, duration: 1.2, ease: 'power3.out', delay: 0.2 });
+
+      // bars scale to 2x the frame budget; long frames are drawn in the danger colour
+      const ctx = graph.getContext('2d');
+      const w = graph.width;
+      const h = graph.height;
+      const barW = w / CFG.hud.graphFrames;
+      const scale = h / (CFG.frame.budget * 2);
+      ctx.clearRect(0, 0, w, h);
+      recent.forEach((r, i) => {
+        ctx.fillStyle = r.long ? '#ff5a5f' : (r.dt > CFG.frame.budget ? '#ffd166' : '#00f6ff');
+        const bh = Math.min(h, r.dt * scale);
+        ctx.fillRect(i * barW, h - bh, Math.max(1, barW - 1), bh);
+      });
+      ctx.fillStyle = 'rgba(255,255,255,.35)';
+      ctx.fillRect(0, h - CFG.frame.budget * scale, w, 1);
     }
-  }
 
-  /* ------------------------------
-   * Navigation interactions (toggle mobile menu, active link, progress bar)
-   * ------------------------------ */
-  function setupNavigation() {
-    const navToggle = q(CFG.selectors.navToggle);
-    const navMenu = q(CFG.selectors.navMenu);
-    const progressBar = q(CFG.selectors.progressBar);
-    const header = q(CFG.selectors.header);
-    let lastScroll = 0;
-    let ticking = false;
+    function capture() {
+      return {
+        createdAt: new Date().toISOString(),
+        userAgent: navigator.userAgent,
+        devicePixelRatio: window.devicePixelRatio || 1,
+        quality: document.documentElement.dataset.quality || null,
+        longFrameThreshold: CFG.hud.longFrame,
+        frames: records.slice()
+      };
+    }
 
-    if (navToggle && navMenu) {
-      on(navToggle, 'click', () => {
-        const expanded = navToggle.getAttribute('aria-expanded') === 'true';
-        navToggle.setAttribute('aria-expanded', String(!expanded));
-        navMenu.setAttribute('aria-hidden', String(expanded));
-      });
+    function exportCapture() {
+      const blob = new Blob([JSON.stringify(capture(), null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = DOM.el('a', { href: url, download: `futurum-capture-${Date.now()}.json` });
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 
-    qAll(CFG.selectors.navLinks).forEach((link) => {
-      on(link, 'click', (e) => {
-        const href = link.getAttribute('href');
-        if (href && href.startsWith('#')) {
-          e.preventDefault();
-          const target = document.querySelector(href);
-          if (target) {
-            const top = target.getBoundingClientRect().top + (window.scrollY || document.documentElement.scrollTop) - parseInt(getComputedStyle(document.documentElement).getPropertyValue('--nav-h') || '72', 10);
-            window.scrollTo({ top, behavior: 'smooth' });
-          }
-        }
-      });
-    });
+    // returns a detach function; the panel itself survives until destroy()
+    function attach(r) {
+      renderer = r;
+      if (!remove) remove = Frame.add('hud', record, { name: 'diagnostics' });
+      return () => {
+        if (renderer === r) renderer = null;
+      };
+    }
 
-    function updateProgress() {
-      const doc = document.documentElement;
-      const scrollTop = (window.scrollY || doc.scrollTop);
-      const height = doc.scrollHeight - doc.clientHeight;
-      const pct = height > 0 ? (scrollTop / height) : 0;
-      if (progressBar) {
-        progressBar.style.width = `${Math.round(pct * 100)}%`;
-      }
-      // sticky header reveal/hide
-      if (!header) return;
-      if (scrollTop > lastScroll && scrollTop > 200) {
-        header.classList.add('hide');
-      } else {
-        header.classList.remove('hide');
-      }
-      lastScroll = scrollTop <= 0 ? 0 : scrollTop;
+    function destroy() {
+      if (remove) remove();
+      remove = null;
+      renderer = null;
+      records.length = 0;
+      longFrames = 0;
+      if (panel) panel.remove();
+      panel = null;
     }
 
-    window.addEventListener('scroll', throttle(updateProgress, 16), { passive: true });
-    updateProgress();
-  }
+    function toggle() {
+      if (!panel) build();
+      panel.hidden = !panel.hidden;
+      if (!remove) remove = Frame.add('hud', record, { name: 'diagnostics' });
+      if (!panel.hidden) draw();
+    }
+
+    return { attach, toggle, capture, exportCapture, destroy };
+  })();
 
   /* ------------------------------
-   * Showcase carousel wiring (horizontal scroll track)
+   * Scroll service: one clock (Frame), one position source (Lenis or native), one subscriber list
    * ------------------------------ */
-  function setupShowcase() {
-    const track = q(CFG.selectors.showcaseTrack);
-    const prev = q(CFG.selectors.showPrev);
-    const next = q(CFG.selectors.showNext);
-    const dots = qAll(CFG.selectors.showDots);
-    if (!track) return;
+  const Scroll = (function () {
+    let lenis = null;
+    let scope = null;
+    const subscribers = [];
+    const state = { y: 0, limit: 0, progress: 0, velocity: 0, direction: 0 };
 
-    let index = 0;
-    const items = Array.from(track.children);
-    const len = items.length;
-
-    function goto(i, opts = {}) {
-      index = clamp(i, 0, len - 1);
-      const width = track.clientWidth;
-      const x = index * width;
-      track.scrollTo({ left: x, behavior: opts.instant ? 'auto' : 'smooth' });
-      dots.forEach((d, di) => d.setAttribute('aria-selected', String(di === index)));
-    }
-
-    on(prev, 'click', () => goto(index - 1));
-    on(next, 'click', () => goto(index + 1));
-    dots.forEach((d, i) => on(d, 'click', () => goto(i)));
-
-    // snap on scrollend to nearest
-    let isScrolling;
-    on(track, 'scroll', () => {
-      window.clearTimeout(isScrolling);
-      isScrolling = window.setTimeout(() => {
-        const width = track.clientWidth;
-        const newIndex = Math.round(track.scrollLeft / width);
-        goto(newIndex, { instant: false });
-      }, 100);
-    });
+    function readNative() {
+      const doc = document.documentElement;
+      const y = window.scrollY || doc.scrollTop || 0;
+      state.velocity = y - state.y;
+      state.direction = Math.sign(state.velocity) || state.direction;
+      state.y = y;
+      state.limit = Math.max(0, doc.scrollHeight - doc.clientHeight);
+    }
 
-    // keyboard friendly
-    on(track, 'keydown', (e) => {
-      if (e.key === 'ArrowRight') goto(index + 1);
-      if (e.key === 'ArrowLeft') goto(index - 1);
-    });
+    function notify() {
+      if (lenis) {
+        state.y = lenis.scroll;
+        state.limit = lenis.limit;
+        state.velocity = lenis.velocity;
+        state.direction = lenis.direction || state.direction;
+      } else {
+        readNative();
+      }
+      state.progress = state.limit > 0 ? clamp(state.y / state.limit, 0, 1) : 0;
+      subscribers.forEach((fn) => fn(state));
+    }
 
-    // init
-    goto(0, { instant: true });
-  }
+    let engine = null;
+    let locks = 0;
+
+    // Lenis smoothing, or native scrolling when Lenis is missing or motion is reduced
+    function startEngine() {
+      engine = createScope();
+      if (typeof Lenis !== 'undefined' && !reducedMotion()) {
+        lenis = new Lenis({
+          duration: CFG.lenis.duration,
+          easing: CFG.lenis.easing,
+          orientation: 'vertical',
+          smoothWheel: true
+        });
+        lenis.on('scroll', () => {
+          if (typeof ScrollTrigger !== 'undefined') ScrollTrigger.update();
+          notify();
+        });
+        if (locks) lenis.stop();
+        engine.add(Frame.add('scroll', (dt, time) => lenis.raf(time), { name: 'lenis' }));
+        engine.add(() => {
+          lenis.destroy();
+          lenis = null;
+        });
+      } else {
+        // native scrolling is polled once per frame instead of a throttled listener
+        engine.add(Frame.add('scroll', () => {
+          const y = window.scrollY || document.documentElement.scrollTop || 0;
+          if (y !== state.y) notify();
+        }, { name: 'scroll' }));
+      }
+    }
+
+    function stopEngine() {
+      if (engine) engine.dispose();
+      engine = null;
+    }
+
+    // returns the teardown for everything set up here
+    function setup() {
+      if (scope) destroy();
+      scope = createScope();
+      startEngine();
+      scope.add(stopEngine);
+      // subscribers survive the swap; only the engine underneath changes
+      scope.add(Events.on('motion:changed', () => {
+        stopEngine();
+        startEngine();
+        notify();
+      }));
+      scope.on(window, 'resize', debounce(notify, 80));
+      notify();
+      return destroy;
+    }
+
+    function destroy() {
+      if (scope) scope.dispose();
+      scope = null;
+      subscribers.length = 0;
+    }
+
+    // stops page scrolling until every returned release function has been called
+    function lock() {
+      let released = false;
+      locks += 1;
+      if (locks === 1) {
+        if (lenis) lenis.stop();
+        document.documentElement.classList.add('scroll-locked');
+      }
+      return () => {
+        if (released) return;
+        released = true;
+        locks -= 1;
+        if (locks) return;
+        if (lenis) lenis.start();
+        document.documentElement.classList.remove('scroll-locked');
+      };
+    }
+
+    // fn(state) is called immediately and on every scroll update; returns an unsubscribe function
+    function subscribe(fn) {
+      subscribers.push(fn);
+      fn(state);
+      return () => {
+        const i = subscribers.indexOf(fn);
+        if (i !== -1) subscribers.splice(i, 1);
+      };
+    }
+
+    function resolveTop(target) {
+      if (typeof target === 'number') return target;
+      const el = typeof target === 'string' ? q(target) : target;
+      if (!el) return null;
+      return el.getBoundingClientRect().top + (window.scrollY || document.documentElement.scrollTop);
+    }
+
+    // target: number, selector or element; resolves when the scroll has settled
+    function scrollTo(target, opts = {}) {
+      const offset = opts.offset || 0;
+      return new Promise((resolve) => {
+        // lenis never calls onComplete for a missing target, so settle those here
+        const top = resolveTop(target);
+        if (top === null) return resolve();
+        if (lenis) {
+          // force: a stopped instance (scroll lock) otherwise ignores the call and the promise never settles
+          lenis.scrollTo(target, {
+            offset,
+            duration: opts.duration,
+            immediate: !!opts.immediate,
+            force: true,
+            onComplete: () => resolve()
+          });
+          if (opts.immediate) resolve();
+          return;
+        }
+        window.scrollTo({ top: top + offset, behavior: opts.immediate || reducedMotion() ? 'auto' : 'smooth' });
+        resolve();
+      });
+    }
+
+    return { setup, destroy, subscribe, scrollTo, lock, state: () => state, lenis: () => lenis };
+  })();
+
+  /* ------------------------------
+   * GSAP scroll animations & general UI entrance choreography
+   * ------------------------------ */
+  // `revealed` outlives a single run: elements whose entrance already started are left in their final
+  // state when a motion toggle runs this again, instead of being hidden and replayed
+  function setupGSAPAnimations(revealed = new WeakSet()) {
+    gsap.defaults(CFG.gsap.defaults);
+    // with reduced motion the entrances keep their fade but lose the travel
+    const rise = reducedMotion() ? 0 : 1;
+    const fresh = (el) => !revealed.has(el);
+    const reveal = (el) => () => revealed.add(el);
+    // every tween and ScrollTrigger created inside the context is reverted by the returned teardown
+    const ctx = gsap.context(() => {
+      // reveal simple
+      qAll(CFG.selectors.animReveal).filter(fresh).forEach((el) => {
+        gsap.fromTo(el, { y: 24 * rise, opacity: 0 }, {
+          y: 0, opacity: 1, duration: 0.9, ease: 'power3.out',
+          onStart: reveal(el),
+          scrollTrigger: { trigger: el, start: 'top 86%', end: 'top 46%' }
+        });
+      });
+      // stagger children
+      qAll('[data-anim="stagger"]').filter(fresh).forEach((container) => {
+        const children = Array.from(container.children);
+        gsap.fromTo(children, { y: 12 * rise, opacity: 0 }, {
+          y: 0, opacity: 1, duration: 0.7, ease: 'power3.out',
+          stagger: 0.08,
+          onStart: reveal(container),
+          scrollTrigger: { trigger: container, start: 'top 88%' }
+        });
+      });
+      // in animations
+      qAll(CFG.selectors.animIn).filter(fresh).forEach((el) => {
+        gsap.fromTo(el, { y: 18 * rise, opacity: 0 }, {
+          y: 0, opacity: 1, duration: 0.9, ease: 'power3.out',
+          onStart: reveal(el),
+          scrollTrigger: { trigger: el, start: 'top 92%' }
+        });
+      });
+      // counters; a revert puts the starting text back, so revealed ones are set to their total
+      qAll(CFG.selectors.counters).forEach((el) => {
+        const parent = el.closest('.metric');
+        const target = num(parent && parent.dataset.count ? parent.dataset.count : el.dataset.count ? el.dataset.count : 0);
+        if (!fresh(el)) {
+          el.textContent = String(target);
+          return;
+        }
+        gsap.fromTo(el, { innerText: 0 }, {
+          innerText: target,
+          duration: 1.6,
+          ease: 'power3.out',
+          snap: { innerText: 1 },
+          onStart: reveal(el),
+          onUpdate() {
+            el.textContent = Math.floor(this.targets()[0].innerText);
+          },
+          scrollTrigger: { trigger: el, start: 'top 86%', once: true }
+        });
+      });
+      // hero copy
+      const heroCopy = q('.hero__copy');
+      if (heroCopy && fresh(heroCopy)) {
+        gsap.fromTo(heroCopy, { y: 8 * rise, opacity: 0 }, { y: 0, opacity: 1, duration: 1.2, ease: 'power3.out', delay: 0.2, onStart: reveal(heroCopy) });
+      }
+    });
+    return () => ctx.revert();
+  }
+
+  /* ------------------------------
+   * Navigation interactions (toggle mobile menu, active link, progress bar)
+   * ------------------------------ */
+  function setupNavigation() {
+    const navToggle = q(CFG.selectors.navToggle);
+    const navMenu = q(CFG.selectors.navMenu);
+    const progressBar = q(CFG.selectors.progressBar);
+    const header = q(CFG.selectors.header);
+    const scope = createScope();
+    let lastScroll = 0;
+
+    if (navToggle && navMenu) {
+      scope.on(navToggle, 'click', () => {
+        const expanded = navToggle.getAttribute('aria-expanded') === 'true';
+        navToggle.setAttribute('aria-expanded', String(!expanded));
+        navMenu.setAttribute('aria-hidden', String(expanded));
+      });
+    }
+
+    // every in-page anchor (nav, hero CTAs, card links, footer) scrolls through the scroll service
+    scope.on(document, 'click', (e) => {
+      const link = e.target.closest && e.target.closest('a[href^="#"]');
+      const href = link && link.getAttribute('href');
+      if (!href || href.length < 2 || e.defaultPrevented || e.metaKey || e.ctrlKey || e.shiftKey) return;
+      const target = document.getElementById(decodeURIComponent(href.slice(1)));
+      if (!target) return;
+      e.preventDefault();
+      Scroll.scrollTo(target, { offset: -navOffset() });
+      // keep keyboard focus in step with the skip link and other focusable targets
+      if (target.hasAttribute('tabindex')) target.focus({ preventScroll: true });
+    });
+
+    function updateProgress(state) {
+      const scrollTop = state.y;
+      // while models load the bar shows their progress instead (see setupLoadingUI)
+      if (progressBar && !progressBar.closest('[data-state="loading"]')) {
+        progressBar.style.width = `${Math.round(state.progress * 100)}%`;
+      }
+      // sticky header reveal/hide
+      if (!header) return;
+      if (scrollTop > lastScroll && scrollTop > 200) {
+        header.classList.add('hide');
+      } else {
+        header.classList.remove('hide');
+      }
+      lastScroll = scrollTop <= 0 ? 0 : scrollTop;
+    }
+
+    scope.add(Scroll.subscribe(updateProgress));
+    return () => scope.dispose();
+  }
+
+  function navOffset() {
+    return parseInt(getComputedStyle(document.documentElement).getPropertyValue('--nav-h') || '72', 10);
+  }
+
+  /* ------------------------------
+   * Active-section tracking (nav indicator, aria-current, URL hash, deep links)
+   * ------------------------------ */
+  function setupSectionTracking() {
+    const sections = qAll(CFG.selectors.sections);
+    const links = qAll(CFG.selectors.navLinks);
+    const indicator = q(CFG.selectors.navIndicator);
+    if (!sections.length || !('IntersectionObserver' in window)) return null;
+    const scope = createScope();
+    let current = null;
+
+    function linkFor(name) {
+      return links.find((l) => l.dataset.link === name) || null;
+    }
+
+    function moveIndicator(link) {
+      if (!indicator) return;
+      const parent = indicator.offsetParent;
+      if (!link || !parent) {
+        indicator.style.width = '0px';
+        return;
+      }
+      const base = parent.getBoundingClientRect();
+      const r = link.getBoundingClientRect();
+      indicator.style.width = `${r.width}px`;
+      indicator.style.transform = `translateX(${r.left - base.left}px)`;
+    }
+
+    function activate(section) {
+      if (!section || section === current) return;
+      const previous = current;
+      current = section;
+      Events.emit('section:changed', {
+        name: section.dataset.section,
+        element: section,
+        previous: previous ? previous.dataset.section : null
+      });
+      const link = linkFor(section.dataset.section);
+      // sections without a nav entry (e.g. the CTA strip) keep the previous link highlighted
+      if (link) {
+        links.forEach((l) => {
+          const active = l === link;
+          l.dataset.active = String(active);
+          if (active) l.setAttribute('aria-current', 'location');
+          else l.removeAttribute('aria-current');
+        });
+        moveIndicator(link);
+      }
+      if (section.id && history.replaceState) {
+        const url = section === sections[0] ? location.pathname + location.search : `#${section.id}`;
+        history.replaceState(history.state, '', url);
+      }
+    }
+
+    // a section is "in view" when it crosses a line 40% down the viewport
+    const io = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        if (entry.isIntersecting) activate(entry.target);
+      });
+    }, { rootMargin: '-40% 0px -59% 0px' });
+    sections.forEach((section) => io.observe(section));
+    scope.add(() => io.disconnect());
+
+    scope.on(window, 'resize', debounce(() => moveIndicator(current && linkFor(current.dataset.section)), 120));
+
+    // deep links: smooth scrolling owns the position, so jump through it once layout has settled
+    function jumpToHash(immediate) {
+      const id = decodeURIComponent(location.hash.slice(1));
+      const target = id && document.getElementById(id);
+      if (target) Scroll.scrollTo(target, { offset: -navOffset(), immediate });
+    }
+
+    if (location.hash) {
+      jumpToHash(true);
+      // images and fonts shift layout after DOMContentLoaded; settle once more when everything is in
+      if (document.readyState !== 'complete') scope.on(window, 'load', () => jumpToHash(true), { once: true });
+    }
+    scope.on(window, 'hashchange', () => jumpToHash(false));
+
+    return { activate, current: () => current, destroy: () => scope.dispose() };
+  }
+
+  /* ------------------------------
+   * Showcase carousel wiring (horizontal scroll track)
+   * ------------------------------ */
+  function setupShowcase() {
+    const track = q(CFG.selectors.showcaseTrack);
+    const prev = q(CFG.selectors.showPrev);
+    const next = q(CFG.selectors.showNext);
+    const dots = qAll(CFG.selectors.showDots);
+    if (!track) return;
+    const scope = createScope();
+    const opts = CFG.showcase;
+    const viewport = track.parentElement;
+    const slides = Array.from(track.children);
+    const len = slides.length;
+    if (!len) return;
+
+    // virtual position in slides; unbounded when looping and wrapped into [0, len) for rendering
+    const state = { p: 0 };
+    let perView = 1;
+    let step = track.clientWidth;
+    let index = 0;
+    let clones = [];
+    let tween = null;
+    const autoplayDelay = num(track.dataset.autoplay, opts.autoplay);
+    let playing = autoplayDelay > 0;
+    let timer = null;
+    // reasons autoplay is on hold: 'hover', 'focus', 'drag', 'hidden'
+    const holds = new Set();
+
+    const wrap = (i) => ((i % len) + len) % len;
+    const maxStart = () => Math.max(0, len - perView);
+
+    // attribute values from the markup, put back on teardown so a remount starts from the same DOM
+    const saved = [];
+    function keep(el, names) {
+      if (el) names.forEach((name) => saved.push([el, name, el.getAttribute(name)]));
+    }
+    keep(viewport, ['role', 'aria-roledescription', 'aria-label']);
+    slides.forEach((slide) => keep(slide, ['id', 'role', 'aria-roledescription', 'aria-label', 'aria-hidden']));
+    dots.forEach((dot) => keep(dot, ['aria-selected', 'tabindex']));
+    keep(prev, ['disabled']);
+    keep(next, ['disabled']);
+
+    // WAI-ARIA carousel: region + tabbed slide picker; clones are hidden from assistive tech
+    viewport.setAttribute('role', 'region');
+    viewport.setAttribute('aria-roledescription', 'carousel');
+    if (!viewport.hasAttribute('aria-label')) viewport.setAttribute('aria-label', 'Showcase projects');
+    slides.forEach((slide, i) => {
+      if (!slide.id) slide.id = `shot-${i + 1}`;
+      slide.setAttribute('role', 'tabpanel');
+      slide.setAttribute('aria-roledescription', 'slide');
+      slide.setAttribute('aria-label', `${i + 1} of ${len}`);
+    });
+    const status = document.createElement('span');
+    status.className = 'sr';
+    status.setAttribute('aria-live', 'polite');
+    status.setAttribute('aria-atomic', 'true');
+    viewport.appendChild(status);
+    track.dataset.carousel = 'on';
+
+    function perViewFor(width) {
+      const points = Object.keys(opts.breakpoints).map(Number).sort((a, b) => a - b);
+      return points.reduce((n, min) => (width >= min ? num(opts.breakpoints[min], n) : n), 1);
+    }
+
+    // the first `perView` slides are cloned after the last one so a wrapped window is never empty
+    function buildClones() {
+      clones.forEach((c) => c.remove());
+      clones = [];
+      if (!opts.loop) return;
+      for (let i = 0; i < Math.min(perView, len); i++) {
+        const clone = slides[i].cloneNode(true);
+        clone.removeAttribute('id');
+        clone.removeAttribute('role');
+        clone.removeAttribute('aria-roledescription');
+        clone.removeAttribute('aria-label');
+        clone.removeAttribute('data-3d');
+        // clones are inert, so they never get tilt handlers; drop what setupTilt left on the original
+        clone.classList.remove('tilt', 'is-tilting');
+        clone.style.removeProperty('transform');
+        qAll('.tilt__glare', clone).forEach((g) => g.remove());
+        clone.setAttribute('aria-hidden', 'true');
+        clone.inert = true;
+        track.appendChild(clone);
+        clones.push(clone);
+      }
+    }
+
+    // opt-in deferral for slides authored with data-src; the stock markup keeps src + loading="lazy"
+    // so the images still show without JS
+    function loadMedia(el) {
+      qAll('[data-src]', el).forEach((media) => {
+        media.src = media.dataset.src;
+        delete media.dataset.src;
+        if (media.tagName === 'SOURCE' && media.parentElement.load) media.parentElement.load();
+      });
+    }
+
+    function render() {
+      const at = opts.loop ? wrap(state.p) : state.p;
+      track.style.transform = `translate3d(${-at * step}px, 0, 0)`;
+      // media of the visible window and one slide either side
+      const nodes = track.children;
+      const first = Math.floor(at) - 1;
+      for (let i = first; i <= first + perView + 2; i++) {
+        const node = nodes[opts.loop ? ((i % nodes.length) + nodes.length) % nodes.length : i];
+        if (node) loadMedia(node);
+      }
+    }
+
+    function layout() {
+      const next = perViewFor(viewport.clientWidth || window.innerWidth);
+      if (next !== perView || (opts.loop && !clones.length)) {
+        perView = next;
+        track.style.setProperty('--per-view', String(perView));
+        buildClones();
+      }
+      // measured from slide to slide so padding, gaps and per-view widths are all accounted for
+      step = len > 1 ? slides[1].offsetLeft - slides[0].offsetLeft : slides[0].offsetWidth;
+      if (!step) step = track.clientWidth / perView || 1;
+      if (!opts.loop) state.p = clamp(state.p, 0, maxStart());
+      render();
+      sync(false);
+    }
+
+    // `at` is where the carousel is heading, so the UI updates as soon as a move starts
+    function sync(announce, at = state.p) {
+      const previous = index;
+      index = opts.loop ? wrap(Math.round(at)) : clamp(Math.round(at), 0, len - 1);
+      slides.forEach((slide, i) => {
+        const offset = opts.loop ? wrap(i - index) : i - index;
+        slide.setAttribute('aria-hidden', String(offset < 0 || offset >= perView));
+      });
+      dots.forEach((d, di) => {
+        d.setAttribute('aria-selected', String(di === index));
+        d.tabIndex = di === index ? 0 : -1;
+      });
+      if (!opts.loop) {
+        if (prev) prev.disabled = index <= 0;
+        if (next) next.disabled = index >= maxStart();
+      }
+      if (announce && index !== previous) {
+        const title = q('.shot__title', slides[index]);
+        status.textContent = `Slide ${index + 1} of ${len}${title ? `: ${title.textContent}` : ''}`;
+        Events.emit('showcase:changed', { index, previous, slide: slides[index], count: len });
+      }
+    }
+
+    // moves by the shortest way round when looping; target is a slide index or a virtual position
+    function moveTo(target, options = {}) {
+      let to = target;
+      if (!opts.loop) to = clamp(to, 0, maxStart());
+      if (tween) tween.kill();
+      const instant = options.instant || reducedMotion();
+      if (instant) {
+        state.p = to;
+        render();
+      } else {
+        tween = gsap.to(state, {
+          p: to,
+          duration: options.duration || opts.duration,
+          ease: 'power3.out',
+          onUpdate: render
+        });
+      }
+      sync(true, to);
+      schedule();
+    }
+
+    function goto(i, options = {}) {
+      if (!opts.loop) return moveTo(i, options);
+      // pick the copy of slide i closest to the current position
+      const base = Math.round(state.p);
+      const delta = wrap(i - wrap(base));
+      return moveTo(base + (delta > len / 2 ? delta - len : delta), options);
+    }
+
+    const go = (d) => moveTo(Math.round(state.p) + d);
+
+    scope.on(prev, 'click', () => go(-1));
+    scope.on(next, 'click', () => go(1));
+    dots.forEach((d, i) => {
+      scope.on(d, 'click', () => goto(i));
+      scope.on(d, 'keydown', (e) => {
+        if (e.key !== 'ArrowRight' && e.key !== 'ArrowLeft') return;
+        e.preventDefault();
+        const to = e.key === 'ArrowRight' ? wrap(i + 1) : wrap(i - 1);
+        goto(to);
+        dots[to].focus();
+      });
+    });
+    scope.on(viewport, 'keydown', (e) => {
+      if (e.target.closest && e.target.closest('[role="tab"]')) return;
+      if (e.key === 'ArrowRight') go(1);
+      if (e.key === 'ArrowLeft') go(-1);
+    });
+
+    // pointer drag / swipe; vertical movement is left to the page (touch-action: pan-y)
+    let drag = null;
+    let suppressClick = false;
+    scope.on(track, 'pointerdown', (e) => {
+      if (e.button !== 0 || len < 2) return;
+      if (tween) tween.kill();
+      drag = { x: e.clientX, p: state.p, t: now(), lastX: e.clientX, v: 0, moved: false, id: e.pointerId };
+      holds.add('drag');
+      schedule();
+    });
+    scope.on(track, 'pointermove', (e) => {
+      if (!drag || e.pointerId !== drag.id) return;
+      const dx = e.clientX - drag.x;
+      if (!drag.moved && Math.abs(dx) > 6) {
+        drag.moved = true;
+        track.dataset.dragging = 'true';
+        if (track.setPointerCapture) track.setPointerCapture(e.pointerId);
+      }
+      if (!drag.moved) return;
+      const t = now();
+      const dt = Math.max(1, t - drag.t);
+      // smoothed px/ms so the release keeps the flick's momentum
+      drag.v = drag.v * 0.7 + ((e.clientX - drag.lastX) / dt) * 0.3;
+      drag.lastX = e.clientX;
+      drag.t = t;
+      state.p = drag.p - dx / step;
+      if (!opts.loop) state.p = clamp(state.p, -0.25, maxStart() + 0.25);
+      render();
+    });
+    function release(e) {
+      if (!drag || e.pointerId !== drag.id) return;
+      const moved = drag.moved;
+      const fling = (drag.v * opts.momentum) / step;
+      drag = null;
+      delete track.dataset.dragging;
+      holds.delete('drag');
+      if (!moved) {
+        schedule();
+        return;
+      }
+      // the click that follows a drag must not also follow a link inside the slide
+      suppressClick = true;
+      setTimeout(() => {
+        suppressClick = false;
+      }, 0);
+      moveTo(Math.round(state.p - clamp(fling, -perView, perView)));
+    }
+    scope.on(track, 'pointerup', release);
+    scope.on(track, 'pointercancel', release);
+    scope.on(track, 'click', (e) => {
+      if (!suppressClick) return;
+      e.preventDefault();
+      e.stopPropagation();
+    }, true);
+    scope.on(track, 'dragstart', (e) => e.preventDefault());
+
+    // autoplay: optional, stoppable, and held while the carousel has hover or focus
+    let playBtn = null;
+    function schedule() {
+      clearTimeout(timer);
+      timer = null;
+      status.setAttribute('aria-live', playing && !holds.size ? 'off' : 'polite');
+      if (!playing || holds.size || reducedMotion()) return;
+      timer = setTimeout(() => go(1), autoplayDelay);
+    }
+    function setPlaying(value) {
+      playing = value;
+      if (playBtn) {
+        playBtn.setAttribute('aria-label', playing ? 'Stop automatic slide show' : 'Start automatic slide show');
+        playBtn.dataset.state = playing ? 'playing' : 'paused';
+      }
+      schedule();
+    }
+    if (autoplayDelay > 0) {
+      playBtn = document.createElement('button');
+      playBtn.type = 'button';
+      playBtn.className = 'showcase__play';
+      viewport.insertBefore(playBtn, viewport.firstChild);
+      scope.add(() => playBtn.remove());
+      scope.on(playBtn, 'click', () => setPlaying(!playing));
+      setPlaying(true);
+    }
+    scope.on(viewport, 'mouseenter', () => {
+      holds.add('hover');
+      schedule();
+    });
+    scope.on(viewport, 'mouseleave', () => {
+      holds.delete('hover');
+      schedule();
+    });
+    scope.on(viewport, 'focusin', () => {
+      holds.add('focus');
+      schedule();
+    });
+    scope.on(viewport, 'focusout', (e) => {
+      if (viewport.contains(e.relatedTarget)) return;
+      holds.delete('focus');
+      schedule();
+    });
+    scope.on(document, 'visibilitychange', () => {
+      if (document.hidden) holds.add('hidden');
+      else holds.delete('hidden');
+      schedule();
+    });
+
+    scope.on(window, 'resize', debounce(layout, 80));
+    scope.add(Events.on('motion:changed', schedule));
+    scope.add(() => {
+      clearTimeout(timer);
+      if (tween) tween.kill();
+      clones.forEach((c) => c.remove());
+      status.remove();
+      delete track.dataset.carousel;
+      track.style.removeProperty('transform');
+      track.style.removeProperty('--per-view');
+      saved.forEach(([el, name, value]) => {
+        if (value === null) el.removeAttribute(name);
+        else el.setAttribute(name, value);
+      });
+    });
+
+    layout();
+    schedule();
+    return {
+      goto,
+      next: () => go(1),
+      prev: () => go(-1),
+      current: () => index,
+      count: () => len,
+      slides: () => slides.slice(),
+      play: () => setPlaying(true),
+      pause: () => setPlaying(false),
+      destroy: () => scope.dispose()
+    };
+  }
+
+  /* ------------------------------
+   * Declarative validation engine (data-validate, data-min, data-max, data-pattern)
+   * ------------------------------ */
+  const Validator = (function () {
+    const errorNodes = new WeakMap();
+    let uid = 0;
+    // each rule returns true when the value passes, or an error message
+    const rules = {
+      required(value, field) {
+        if (!field.required) return true;
+        return value ? true : (field.type === 'email' ? 'Please enter your email' : 'This field is required');
+      },
+      text() {
+        return true;
+      },
+      email(value) {
+        return !value || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? true : 'Please enter a valid email';
+      },
+      select(value, field) {
+        return !field.required || value ? true : 'Please choose an option';
+      },
+      min(value, field) {
+        if (!value || field.dataset.min === undefined) return true;
+        const min = num(field.dataset.min);
+        if (field.type === 'number' || field.type === 'range') return Number(value) >= min ? true : `Must be at least ${min}`;
+        return value.length >= min ? true : `Please use at least ${min} characters`;
+      },
+      max(value, field) {
+        if (!value || field.dataset.max === undefined) return true;
+        const max = num(field.dataset.max);
+        if (field.type === 'number' || field.type === 'range') return Number(value) <= max ? true : `Must be at most ${max}`;
+        return value.length <= max ? true : `Please keep it under ${max} characters`;
+      },
+      pattern(value, field) {
+        if (!value || !field.dataset.pattern) return true;
+        const re = compile(field.dataset.pattern);
+        if (!re) return true;
+        return re.test(value) ? true : 'Please match the requested format';
+      }
+    };
+
+    // an invalid data-pattern is treated as absent rather than breaking validation; warned once per pattern
+    const badPatterns = new Set();
+    function compile(pattern) {
+      try {
+        return new RegExp(`^(?:${pattern})$`);
+      } catch (err) {
+        if (!badPatterns.has(pattern)) {
+          badPatterns.add(pattern);
+          console.warn(`Ignoring invalid data-pattern "${pattern}":`, err.message);
+        }
+        return null;
+      }
+    }
+
+    function addRule(name, fn) {
+      rules[name] = fn;
+    }
+
+    // data-validate may list several space-separated rules, including custom ones
+    function check(field) {
+      const value = String(field.value || '').trim();
+      const names = ['required'].concat((field.dataset.validate || '').split(/\s+/).filter(Boolean), ['min', 'max', 'pattern']);
+      for (let i = 0; i < names.length; i++) {
+        const rule = rules[names[i]];
+        if (!rule) continue;
+        const result = rule(value, field);
+        if (result !== true) return field.dataset.message || String(result || 'Invalid value');
+      }
+      return '';
+    }
+
+    // the error node lives inside the <label> so the grid layout is untouched; it is aria-hidden so it is
+    // not folded into the accessible name, and is announced through aria-describedby instead
+    function errorNode(field) {
+      if (errorNodes.has(field)) return errorNodes.get(field);
+      uid += 1;
+      const node = document.createElement('span');
+      node.className = 'field__error';
+      node.id = `field-error-${uid}`;
+      node.setAttribute('aria-hidden', 'true');
+      (field.closest('.field') || field.parentNode).appendChild(node);
+      const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+      describedBy.push(node.id);
+      field.setAttribute('aria-describedby', describedBy.join(' '));
+      errorNodes.set(field, node);
+      return node;
+    }
+
+    function show(field, message) {
+      const node = errorNode(field);
+      node.textContent = message;
+      field.setAttribute('aria-invalid', String(!!message));
+      const wrap = field.closest('.field');
+      if (wrap) wrap.classList.toggle('field--invalid', !!message);
+    }
+
+    function validateField(field) {
+      const message = check(field);
+      show(field, message);
+      return !message;
+    }
+
+    // live validation: on blur always, on input only once the field has been flagged
+    function attach(form) {
+      const fields = qAll('[data-validate]', form);
+      const scope = createScope();
+      fields.forEach((field) => {
+        scope.on(field, 'blur', () => validateField(field));
+        scope.on(field, field.tagName === 'SELECT' ? 'change' : 'input', () => {
+          if (field.getAttribute('aria-invalid') === 'true') validateField(field);
+        });
+      });
+      const api = {
+        validate() {
+          const invalid = fields.filter((field) => !validateField(field));
+          if (invalid.length) invalid[0].focus();
+          return !invalid.length;
+        },
+        reset() {
+          fields.forEach((field) => {
+            if (errorNodes.has(field)) show(field, '');
+            field.removeAttribute('aria-invalid');
+          });
+        },
+        destroy() {
+          api.reset();
+          scope.dispose();
+          fields.forEach((field) => {
+            const node = errorNodes.get(field);
+            if (!node) return;
+            const ids = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter((id) => id && id !== node.id);
+            if (ids.length) field.setAttribute('aria-describedby', ids.join(' '));
+            else field.removeAttribute('aria-describedby');
+            node.remove();
+            errorNodes.delete(field);
+          });
+        }
+      };
+      return api;
+    }
+
+    return { attach, addRule, check, validateField };
+  })();
+
+  /* ------------------------------
+   * Form submission layer (pluggable transport, retries, offline queue)
+   * ------------------------------ */
+  function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  // default transport: fetch with an AbortController-driven timeout
+  function fetchTransport(request) {
+    const ctrl = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = ctrl ? setTimeout(() => ctrl.abort(), request.timeout) : null;
+    return fetch(request.url, {
+      method: request.method,
+      headers: request.headers,
+      body: request.body,
+      signal: ctrl ? ctrl.signal : undefined
+    }).then((res) => {
+      const type = res.headers.get('content-type') || '';
+      const parse = type.indexOf('json') !== -1 ? res.json() : res.text();
+      return parse.catch(() => null).then((data) => ({ ok: res.ok, status: res.status, data }));
+    }).catch((err) => {
+      const e = new Error(err && err.name === 'AbortError' ? 'Request timed out' : 'Network error');
+      e.network = true;
+      e.timeout = !!(err && err.name === 'AbortError');
+      throw e;
+    }).finally(() => clearTimeout(timer));
+  }
+
+  // stand-in for a site without a form backend: accepts every request after a short delay
+  function demoTransport() {
+    return wait(400 + Math.random() * 600).then(() => ({ ok: true, status: 200, data: { demo: true } }));
+  }
+
+  const FormSubmit = (function () {
+    let transport = fetchTransport;
+
+    function encode(payload, encoding) {
+      if (encoding === 'form-data') {
+        const fd = new FormData();
+        Object.keys(payload).forEach((k) => fd.append(k, payload[k]));
+        return { body: fd, headers: { Accept: 'application/json' } };
+      }
+      return { body: JSON.stringify(payload), headers: { 'Content-Type': 'application/json', Accept: 'application/json' } };
+    }
+
+    // network failures, timeouts, 408, 429 and 5xx are worth another attempt; other 4xx are not
+    function retryable(err) {
+      if (err.network) return true;
+      return err.status === 408 || err.status === 429 || err.status >= 500;
+    }
+
+    function attempt(payload, opts) {
+      const { body, headers } = encode(payload, opts.encoding);
+      // an injected transport always runs; the default one needs somewhere to send to
+      const send = opts.endpoint || transport !== fetchTransport ? transport : demoTransport;
+      return Promise.resolve(send({
+        url: opts.endpoint, method: opts.method, body, headers, timeout: opts.timeout
+      })).then((res) => {
+        if (res && res.ok) return res;
+        const err = new Error((res && res.data && res.data.message) || `Request failed (${res ? res.status : 'no response'})`);
+        err.status = res ? res.status : 0;
+        throw err;
+      });
+    }
+
+    // resolves with the transport response; onRetry(attemptNo, delay, err) is called before each backoff
+    function send(payload, options = {}) {
+      const opts = Object.assign({}, CFG.form, options);
+      let tries = 0;
+      function run() {
+        return attempt(payload, opts).catch((err) => {
+          if (tries >= opts.retries || !retryable(err)) throw err;
+          tries += 1;
+          const delay = opts.backoff * Math.pow(2, tries - 1) * (0.8 + Math.random() * 0.4);
+          if (options.onRetry) options.onRetry(tries, delay, err);
+          return wait(delay).then(run);
+        });
+      }
+      return run();
+    }
+
+    function readQueue() {
+      try {
+        return JSON.parse(localStorage.getItem(CFG.form.queueKey) || '[]');
+      } catch (e) {
+        return [];
+      }
+    }
+
+    function writeQueue(list) {
+      try {
+        if (list.length) localStorage.setItem(CFG.form.queueKey, JSON.stringify(list));
+        else localStorage.removeItem(CFG.form.queueKey);
+      } catch (e) {
+        // storage full or disabled: the queued entry is lost, nothing else to do
+      }
+    }
+
+    function enqueue(payload, endpoint = CFG.form.endpoint) {
+      const list = readQueue();
+      list.push({ payload, endpoint, queuedAt: Date.now() });
+      writeQueue(list);
+      return list.length;
+    }
+
+    // sends queued entries in order; stops at the first failure so ordering is preserved. Resolves with
+    // { sent, dropped, pending }, dropped counting entries the server rejected for good
+    let flushing = null;
+    function flush() {
+      if (flushing) return flushing;
+      const list = readQueue();
+      let sent = 0;
+      let dropped = 0;
+      function next() {
+        if (!list.length) return Promise.resolve();
+        const entry = list[0];
+        return send(entry.payload, { endpoint: entry.endpoint }).then(() => {
+          list.shift();
+          sent += 1;
+          writeQueue(list);
+          return next();
+        }, (err) => {
+          // a permanent rejection would block the queue forever; drop it and carry on
+          if (!retryable(err)) {
+            console.warn('Dropped a queued submission the server rejected:', err);
+            list.shift();
+            dropped += 1;
+            writeQueue(list);
+            return next();
+          }
+          return undefined;
+        });
+      }
+      flushing = next().then(() => ({ sent, dropped, pending: list.length })).finally(() => {
+        flushing = null;
+      });
+      return flushing;
+    }
+
+    // fn({ url, method, headers, body, timeout }) resolves { ok, status, data } and rejects with
+    // err.network set for connection failures; anything else restores fetch
+    function setTransport(fn) {
+      transport = typeof fn === 'function' ? fn : fetchTransport;
+    }
+
+    return { send, enqueue, flush, pending: () => readQueue().length, setTransport, retryable };
+  })();
+
+  /* ------------------------------
+   * Form validation / submission
+   * ------------------------------ */
+  function setupForm() {
+    const form = q(CFG.selectors.form);
+    const status = q(CFG.selectors.formStatus);
+    if (!form) return;
+
+    function setStatus(text, state) {
+      if (!status) return;
+      status.textContent = text;
+      if (state) status.dataset.state = state;
+      else delete status.dataset.state;
+    }
+
+    function announceFlush(result) {
+      if (result.sent) {
+        Toast.create(result.sent === 1 ? 'Your queued request has been sent.' : `${result.sent} queued requests have been sent.`, { type: 'success' });
+        setStatus('', null);
+      }
+      if (result.dropped) {
+        const text = result.dropped === 1 ? 'A queued request was rejected by the server and could not be sent.' : `${result.dropped} queued requests were rejected by the server and could not be sent.`;
+        setStatus(`${text} Please submit the form again.`, 'error');
+        Toast.create(text, { type: 'error', timeout: 0 });
+      }
+    }
+
+    const action = form.getAttribute('action');
+    const endpoint = CFG.form.endpoint || (action && action !== '#' ? form.action : '');
+
+    const scope = createScope();
+    const validation = Validator.attach(form);
+    scope.add(validation.destroy);
+
+    scope.on(window, 'online', () => FormSubmit.flush().then(announceFlush));
+    if (navigator.onLine !== false && FormSubmit.pending()) FormSubmit.flush().then(announceFlush);
+
+    scope.on(form, 'submit', (e) => {
+      e.preventDefault();
+      if (!validation.validate()) {
+        setStatus('Please check the highlighted fields', 'error');
+        return;
+      }
+      const fd = new FormData(form);
+      const payload = {};
+      fd.forEach((value, key) => {
+        payload[key] = String(value).trim();
+      });
+
+      if (navigator.onLine === false) {
+        FormSubmit.enqueue(payload, endpoint);
+        setStatus('You are offline — we will send this as soon as you reconnect.', 'queued');
+        Events.emit('form:submitted', { form, payload, queued: true });
+        form.reset();
+        validation.reset();
+        return;
+      }
+
+      setStatus('Sending…', 'sending');
+      const submitBtn = form.querySelector('button[type="submit"]');
+      if (submitBtn) submitBtn.disabled = true;
+      FormSubmit.send(payload, {
+        endpoint,
+        onRetry(n) {
+          setStatus(`Connection trouble — retrying (${n}/${CFG.form.retries})…`, 'retrying');
+        }
+      }).then(() => {
+        setStatus('', null);
+        Events.emit('form:submitted', { form, payload, queued: false });
+        Modal.open({ title: 'Thanks!', content: 'Your request has been received. We will reply within 2 business days.' });
+        form.reset();
+        validation.reset();
+      }).catch((err) => {
+        if (err.network) {
+          // the connection dropped mid-send: keep the data rather than lose it
+          FormSubmit.enqueue(payload, endpoint);
+          setStatus('Could not reach the server — your request is queued and will be sent automatically.', 'queued');
+          Events.emit('form:submitted', { form, payload, queued: true });
+          form.reset();
+          validation.reset();
+          return;
+        }
+        setStatus(err.message || 'Something went wrong. Please try again.', 'error');
+        Toast.create('Sending failed.', {
+          type: 'error',
+          action: { label: 'Retry', onClick: () => form.requestSubmit() }
+        });
+      }).finally(() => {
+        if (submitBtn) submitBtn.disabled = false;
+      });
+    });
+    return () => scope.dispose();
+  }
+
+  /* ------------------------------
+   * Newsletter signup (provider adapter, double opt-in, duplicate detection, rate limit)
+   * ------------------------------ */
+  const Newsletter = (function () {
+    // a provider resolves { state: 'pending' | 'subscribed' }; 'pending' means a confirmation mail went out
+    const httpProvider = {
+      subscribe(email) {
+        return FormSubmit.send({ email }, {
+          endpoint: CFG.newsletter.endpoint,
+          encoding: 'json',
+          timeout: CFG.newsletter.timeout,
+          retries: 1
+        }).then((res) => ({ state: (res.data && res.data.state) || 'pending' }));
+      }
+    };
+    // stand-in while no endpoint is configured: every address is sent a (pretend) confirmation mail
+    const demoProvider = {
+      subscribe() {
+        return wait(400 + Math.random() * 600).then(() => ({ state: 'pending' }));
+      }
+    };
+    // null picks one of the built-in providers from CFG.newsletter.endpoint at submit time
+    let provider = null;
+
+    function currentProvider() {
+      return provider || (CFG.newsletter.endpoint ? httpProvider : demoProvider);
+    }
+
+    function read() {
+      try {
+        return JSON.parse(localStorage.getItem(CFG.newsletter.storageKey) || '{}');
+      } catch (e) {
+        return {};
+      }
+    }
+
+    function write(data) {
+      try {
+        localStorage.setItem(CFG.newsletter.storageKey, JSON.stringify(data));
+      } catch (e) {
+        // storage disabled: duplicate detection and rate limiting degrade to per-page
+      }
+    }
+
+    function normalize(email) {
+      return String(email || '').trim().toLowerCase();
+    }
+
+    function lookup(email) {
+      const data = read();
+      return (data.emails || {})[normalize(email)] || null;
+    }
+
+    // attempt timestamps still inside the cooldown window, oldest first
+    function recentAttempts(data, at = Date.now()) {
+      return (Array.isArray(data.attempts) ? data.attempts : []).filter((t) => t > at - CFG.newsletter.cooldown);
+    }
+
+    // ms until another submit is allowed, 0 when free
+    function cooldownLeft() {
+      const data = read();
+      const at = Date.now();
+      const recent = recentAttempts(data, at);
+      const afterSignup = num(data.lastSubmit, 0) + CFG.newsletter.cooldown - at;
+      const afterAttempts = recent.length >= CFG.newsletter.attempts ? recent[0] + CFG.newsletter.cooldown - at : 0;
+      return Math.max(0, afterSignup, afterAttempts);
+    }
+
+    function subscribe(email) {
+      const key = normalize(email);
+      const existing = lookup(key);
+      if (existing) return Promise.resolve({ state: existing.state, duplicate: true });
+      const remaining = cooldownLeft();
+      if (remaining > 0) {
+        const err = new Error('Too many attempts');
+        err.rateLimited = true;
+        err.retryIn = remaining;
+        return Promise.reject(err);
+      }
+      // every attempt counts towards the limit; a failed one can be retried until it is reached
+      const data = read();
+      data.attempts = recentAttempts(data).concat(Date.now());
+      write(data);
+      return Promise.resolve(currentProvider().subscribe(key)).then((result) => {
+        const state = result && result.state === 'subscribed' ? 'subscribed' : 'pending';
+        // an accepted signup starts the full cooldown
+        const next = read();
+        next.lastSubmit = Date.now();
+        next.emails = Object.assign({}, next.emails, { [key]: { state, at: Date.now() } });
+        write(next);
+        return { state, duplicate: false };
+      });
+    }
+
+    // adapter: { subscribe(email) => Promise<{ state }> }; anything else restores the built-in provider
+    function setProvider(adapter) {
+      provider = adapter && typeof adapter.subscribe === 'function' ? adapter : null;
+    }
+
+    return { subscribe, setProvider, lookup, cooldownLeft };
+  })();
+
+  function setupNewsletter() {
+    const form = q(CFG.selectors.newsletter);
+    const status = q(CFG.selectors.newsletterStatus);
+    if (!form) return;
+    const input = form.querySelector('input[type="email"]');
+    const button = form.querySelector('button[type="submit"]');
+    const scope = createScope();
+    const validation = Validator.attach(form);
+    scope.add(validation.destroy);
+
+    function report(text, state, toast) {
+      if (status) {
+        status.textContent = text;
+        if (state) status.dataset.state = state;
+        else delete status.dataset.state;
+      }
+      // 'pending' has no toast variant of its own and falls back to info
+      if (toast) Toast.create(text, { type: state });
+    }
+
+    scope.on(form, 'submit', (e) => {
+      e.preventDefault();
+      if (!validation.validate()) {
+        report('Please enter a valid email', 'error');
+        return;
+      }
+      report('Subscribing…', 'sending');
+      if (button) button.disabled = true;
+      Newsletter.subscribe(input.value).then((result) => {
+        if (result.duplicate) {
+          report(result.state === 'subscribed'
+            ? 'You are already subscribed — thanks for sticking around.'
+            : 'Already on its way — check your inbox to confirm.', 'info', true);
+          return;
+        }
+        form.reset();
+        validation.reset();
+        Events.emit('newsletter:subscribed', { state: result.state });
+        if (result.state === 'subscribed') report('You are subscribed. Welcome aboard!', 'success', true);
+        else report('Almost there — check your inbox to confirm your subscription.', 'pending', true);
+      }).catch((err) => {
+        if (err.rateLimited) {
+          report(`Please wait ${Math.ceil(err.retryIn / 1000)}s before trying again.`, 'error', true);
+          return;
+        }
+        report('Subscription failed — please try again later.', 'error', true);
+      }).finally(() => {
+        if (button) button.disabled = false;
+      });
+    });
+    return () => scope.dispose();
+  }
+
+  /* ------------------------------
+   * Small utilities for interactive hover/magnetic effects
+   * ------------------------------ */
+  function setupMagnetic() {
+    const magnets = qAll(CFG.selectors.magneticElements);
+    if (!magnets.length) return;
+    const scope = createScope();
+    magnets.forEach((el) => {
+      const sensitivity = 36;
+      function onMove(e) {
+        const r = el.getBoundingClientRect();
+        const cx = r.left + r.width / 2;
+        const cy = r.top + r.height / 2;
+        const x = (e.clientX - cx) / sensitivity;
+        const y = (e.clientY - cy) / sensitivity;
+        el.style.transform = `translate3d(${x}px, ${y}px, 6px) rotateX(${clamp(-y, -8, 8)}deg) rotateY(${clamp(x, -8, 8)}deg)`;
+      }
+      function onLeave() {
+        el.style.transform = '';
+      }
+      scope.on(el, 'mousemove', onMove);
+      scope.on(el, 'mouseleave', onLeave);
+      scope.on(el, 'touchmove', (e) => {
+        if (e.touches && e.touches[0]) onMove(e.touches[0]);
+      }, { passive: true });
+      scope.on(el, 'touchend', onLeave);
+      scope.add(onLeave);
+    });
+    return () => scope.dispose();
+  }
+
+  /* ------------------------------
+   * Motion preferences (prefers-reduced-motion + user toggle)
+   * ------------------------------ */
+  const Motion = (function () {
+    const PREFERENCES = ['system', 'reduce', 'full'];
+    const media = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+    let reduced = false;
+
+    function stored() {
+      try {
+        return localStorage.getItem(CFG.motion.storageKey);
+      } catch (e) {
+        return null;
+      }
+    }
+
+    function preference() {
+      const saved = stored();
+      return PREFERENCES.indexOf(saved) > 0 ? saved : CFG.motion.preference;
+    }
+
+    // re-reads the preference and the media query; emits motion:changed when the outcome flips
+    function update() {
+      const pref = preference();
+      const next = pref === 'system' ? !!(media && media.matches) : pref === 'reduce';
+      document.documentElement.classList.toggle('reduced-motion', next);
+      document.documentElement.dataset.motion = next ? 'reduce' : 'full';
+      if (next === reduced) return reduced;
+      reduced = next;
+      Events.emit('motion:changed', { reduced, preference: pref });
+      return reduced;
+    }
+
+    function set(pref) {
+      if (PREFERENCES.indexOf(pref) === -1) {
+        console.warn(`Unknown motion preference "${pref}"`);
+        return reduced;
+      }
+      try {
+        if (pref === 'system') localStorage.removeItem(CFG.motion.storageKey);
+        else localStorage.setItem(CFG.motion.storageKey, pref);
+      } catch (e) {
+        // the choice lasts for this visit only
+      }
+      return update();
+    }
+
+    // runs setup(reduced) now and again after every change, tearing the previous run down first
+    function watch(setup) {
+      let inner = createScope();
+      track(inner, setup(reduced));
+      const off = Events.on('motion:changed', () => {
+        inner.dispose();
+        inner = createScope();
+        track(inner, setup(reduced));
+      });
+      return () => {
+        off();
+        inner.dispose();
+      };
+    }
+
+    return {
+      reduced: () => reduced,
+      preference,
+      set,
+      toggle: () => set(reduced ? 'full' : 'reduce'),
+      update,
+      watch,
+      media
+    };
+  })();
+
+  function reducedMotion() {
+    return Motion.reduced();
+  }
+
+  // motion toggle button and live prefers-reduced-motion tracking
+  function setupMotion() {
+    const scope = createScope();
+    const toggle = q(CFG.selectors.motionToggle);
+
+    function sync() {
+      if (!toggle) return;
+      toggle.setAttribute('aria-pressed', String(Motion.reduced()));
+      toggle.setAttribute('aria-label', Motion.reduced() ? 'Enable animations' : 'Reduce motion');
+    }
+
+    Motion.update();
+    sync();
+    scope.add(Events.on('motion:changed', sync));
+    if (Motion.media) scope.on(Motion.media, 'change', () => Motion.update());
+    if (toggle) {
+      toggle.hidden = false;
+      scope.on(toggle, 'click', () => Motion.toggle());
+    }
+    return () => scope.dispose();
+  }
+
+  /* ------------------------------
+   * Tilt / lift engine for data-3d="card|hover|rotate|lift" and data-tilt
+   * ------------------------------ */
+
+  function setupTilt() {
+    const nodes = qAll(CFG.selectors.tiltTargets);
+    if (!nodes.length || typeof gsap === 'undefined') return;
+    const scope = createScope();
+    const visible = new Set();
+
+    const items = nodes.map((el) => {
+      const mode = CFG.tilt.modes[el.dataset['3d']] ? el.dataset['3d'] : 'tilt';
+      const opts = CFG.tilt.modes[mode];
+      const intensity = el.dataset.tilt ? num(CFG.tilt.intensity[el.dataset.tilt], num(el.dataset.tilt, 1)) : 1;
+      let glare = null;
+      if (opts.glare) {
+        glare = document.createElement('span');
+        glare.className = 'tilt__glare';
+        glare.setAttribute('aria-hidden', 'true');
+        el.appendChild(glare);
+      }
+      el.classList.add('tilt');
+      scope.add(() => {
+        gsap.killTweensOf(el);
+        gsap.set(el, { clearProps: 'transform' });
+        el.classList.remove('tilt', 'is-tilting');
+        if (glare) glare.remove();
+      });
+      return { el, mode, opts, intensity, glare };
+    });
+
+    // nx/ny are -1..1 offsets from the element centre
+    function apply(item, nx, ny, instant) {
+      const { el, opts, intensity, glare } = item;
+      const max = opts.max * intensity;
+      // CSS transitions would lag behind every tween frame, so they are off only while tilted
+      el.classList.add('is-tilting');
+      gsap.to(el, {
+        transformPerspective: CFG.tilt.perspective,
+        rotationY: nx * max,
+        rotationX: opts.axis === 'y' ? 0 : -ny * max,
+        z: opts.lift * intensity,
+        duration: instant ? 0.2 : 0.45,
+        ease: 'power3.out',
+        overwrite: 'auto'
+      });
+      if (glare) {
+        glare.style.setProperty('--gx', `${(nx + 1) * 50}%`);
+        glare.style.setProperty('--gy', `${(ny + 1) * 50}%`);
+        glare.style.opacity = String(0.12 + Math.hypot(nx, ny) * 0.2);
+      }
+    }
+
+    function release(item) {
+      const { el } = item;
+      if (!el.classList.contains('is-tilting')) return;
+      // the inline transform is cleared once settled so CSS :hover and resting transforms apply again
+      gsap.to(el, {
+        rotationX: 0,
+        rotationY: 0,
+        z: 0,
+        duration: 1.1,
+        ease: 'elastic.out(1, 0.45)',
+        overwrite: 'auto',
+        onComplete: () => {
+          gsap.set(el, { clearProps: 'transform' });
+          el.classList.remove('is-tilting');
+        }
+      });
+      if (item.glare) item.glare.style.opacity = '0';
+    }
+
+    items.forEach((item) => {
+      const { el } = item;
+      scope.on(el, 'pointermove', (e) => {
+        if (e.pointerType === 'touch' || reducedMotion()) return;
+        const r = el.getBoundingClientRect();
+        const nx = clamp(((e.clientX - r.left) / r.width) * 2 - 1, -1, 1);
+        const ny = clamp(((e.clientY - r.top) / r.height) * 2 - 1, -1, 1);
+        apply(item, nx, ny);
+      });
+      scope.on(el, 'pointerleave', () => release(item));
+      scope.on(el, 'focusin', () => {
+        if (!reducedMotion()) apply(item, 0, 0);
+      });
+      scope.on(el, 'focusout', () => release(item));
+    });
+
+    // gyroscope: on coarse pointers, tilt whatever is on screen from device orientation
+    const coarse = window.matchMedia && window.matchMedia('(pointer: coarse)').matches;
+    if (!CFG.tilt.gyro || !coarse || !('DeviceOrientationEvent' in window)) return () => scope.dispose();
+
+    if ('IntersectionObserver' in window) {
+      const io = new IntersectionObserver((entries) => {
+        entries.forEach((entry) => {
+          const item = items.find((it) => it.el === entry.target);
+          if (!item) return;
+          if (entry.isIntersecting) visible.add(item);
+          else {
+            visible.delete(item);
+            release(item);
+          }
+        });
+      });
+      items.forEach((item) => io.observe(item.el));
+      scope.add(() => io.disconnect());
+    } else {
+      items.forEach((item) => visible.add(item));
+    }
+
+    const onOrientation = throttle((e) => {
+      if (reducedMotion() || e.beta === null || e.gamma === null) return;
+      // phones are usually held ~45deg from flat; treat that as neutral
+      const nx = clamp(e.gamma / 30, -1, 1);
+      const ny = clamp((e.beta - 45) / 30, -1, 1);
+      visible.forEach((item) => apply(item, nx, ny, true));
+    });
+
+    // iOS requires an explicit permission request from a user gesture
+    if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+      scope.on(window, 'touchend', function askOnce() {
+        off(window, 'touchend', askOnce);
+        DeviceOrientationEvent.requestPermission().then((state) => {
+          if (state === 'granted') scope.on(window, 'deviceorientation', onOrientation);
+        }).catch(() => {});
+      });
+    } else {
+      scope.on(window, 'deviceorientation', onOrientation);
+    }
+    return () => scope.dispose();
+  }
+
+  /* ------------------------------
+   * Hover underline accessibility wiring (keyboard + mouse focus)
+   * ------------------------------ */
+  function setupUnderlineHover() {
+    const scope = createScope();
+    qAll(CFG.selectors.hoverUnderline).forEach((el) => {
+      scope.on(el, 'mouseenter', () => {
+        el.classList.add('underline--visible');
+      });
+      scope.on(el, 'mouseleave', () => {
+        el.classList.remove('underline--visible');
+      });
+      scope.on(el, 'focus', () => {
+        el.classList.add('underline--visible');
+      });
+      scope.on(el, 'blur', () => {
+        el.classList.remove('underline--visible');
+      });
+      scope.add(() => el.classList.remove('underline--visible'));
+    });
+    return () => scope.dispose();
+  }
+
+  /* ------------------------------
+   * Three.js resource disposal
+   * ------------------------------ */
+  function disposeMaterial(material) {
+    (Array.isArray(material) ? material : [material]).forEach((mat) => {
+      if (!mat) return;
+      Object.keys(mat).forEach((key) => {
+        const value = mat[key];
+        if (value && value.isTexture) value.dispose();
+      });
+      if (mat.uniforms) {
+        Object.keys(mat.uniforms).forEach((key) => {
+          const value = mat.uniforms[key].value;
+          if (value && value.isTexture) value.dispose();
+        });
+      }
+      mat.dispose();
+    });
+  }
+
+  // frees geometries, materials, textures and light shadow maps below (and including) obj
+  function disposeObject3D(obj) {
+    obj.traverse((node) => {
+      if (node.geometry) node.geometry.dispose();
+      if (node.material) disposeMaterial(node.material);
+      if (node.isLight && node.shadow && node.shadow.map) {
+        node.shadow.map.dispose();
+        node.shadow.map = null;
+      }
+    });
+  }
+
+  /* ------------------------------
+   * Themes: document attributes, custom properties and the scene palette
+   * ------------------------------ */
+  const Theme = (function () {
+    const media = window.matchMedia ? window.matchMedia('(prefers-color-scheme: light)') : null;
+    let current = null;
+
+    function stored() {
+      try {
+        return localStorage.getItem(CFG.theme.storageKey);
+      } catch (e) {
+        return null;
+      }
+    }
+
+    function system() {
+      return media && media.matches ? 'light' : 'dark';
+    }
+
+    // saved choice → configured initial theme → prefers-color-scheme → first defined theme
+    function resolve() {
+      const themes = CFG.theme.themes;
+      const saved = stored();
+      if (saved && themes[saved]) return saved;
+      if (CFG.theme.initial !== 'system' && themes[CFG.theme.initial]) return CFG.theme.initial;
+      return themes[system()] ? system() : Object.keys(themes)[0];
+    }
+
+    function palette(name) {
+      return CFG.theme.themes[name || current || resolve()].scene;
+    }
+
+    function applyDocument(name, from) {
+      const html = document.documentElement;
+      const theme = CFG.theme.themes[name];
+      const previous = from && CFG.theme.themes[from];
+      if (previous) Object.keys(previous.css || {}).forEach((prop) => html.style.removeProperty(prop));
+      Object.keys(theme.css || {}).forEach((prop) => html.style.setProperty(prop, theme.css[prop]));
+      html.dataset.theme = name;
+      if (document.body) document.body.dataset.theme = name;
+      const meta = q('meta[name="theme-color"]');
+      if (meta && theme.meta) meta.setAttribute('content', theme.meta);
+    }
+
+    // `persist: false` applies a theme without recording it as the user's choice
+    function set(name, options) {
+      const opts = options || {};
+      if (!CFG.theme.themes[name]) {
+        console.warn(`Unknown theme "${name}"`);
+        return current;
+      }
+      if (opts.persist !== false) {
+        try {
+          localStorage.setItem(CFG.theme.storageKey, name);
+        } catch (e) {
+          // the choice lasts for this visit only
+        }
+      }
+      if (name === current) return current;
+      const from = current;
+      current = name;
+      applyDocument(name, from);
+      Events.emit('theme:changed', { name, from, palette: palette(name) });
+      return name;
+    }
+
+    function toggle() {
+      const names = Object.keys(CFG.theme.themes);
+      return set(names[(names.indexOf(current) + 1) % names.length]);
+    }
+
+    // forget the saved choice and follow the system again
+    function reset() {
+      try {
+        localStorage.removeItem(CFG.theme.storageKey);
+      } catch (e) {
+        // nothing stored
+      }
+      return set(resolve(), { persist: false });
+    }
+
+    return {
+      get: () => current || resolve(),
+      set,
+      toggle,
+      reset,
+      palette,
+      media,
+      followsSystem: () => !CFG.theme.themes[stored()],
+      list: () => Object.keys(CFG.theme.themes)
+    };
+  })();
+
+  // theme toggle button and system preference tracking; the scene re-themes itself on theme:changed
+  function setupTheme() {
+    const scope = createScope();
+    const toggle = q(CFG.selectors.themeToggle);
+
+    function sync(name) {
+      if (!toggle) return;
+      const names = Theme.list();
+      const next = names[(names.indexOf(name) + 1) % names.length];
+      toggle.setAttribute('aria-pressed', String(name === 'light'));
+      toggle.setAttribute('aria-label', `Switch to ${next} theme`);
+      toggle.dataset.theme = name;
+    }
+
+    scope.add(Events.on('theme:changed', ({ name }) => sync(name)));
+    Theme.set(Theme.get(), { persist: false });
+    sync(Theme.get());
+
+    if (toggle) {
+      toggle.hidden = false;
+      scope.on(toggle, 'click', () => Theme.toggle());
+    }
+    if (Theme.media) {
+      scope.on(Theme.media, 'change', () => {
+        if (Theme.followsSystem()) Theme.reset();
+      });
+    }
+    return () => scope.dispose();
+  }
+
+  /* ------------------------------
+   * Post-processing stack written against the global THREE build: render pass, selective bloom,
+   * then one screen pass for chromatic aberration, vignette and grain
+   * ------------------------------ */
+  // objects also enabled on BLOOM_LAYER feed the bloom; everything else is drawn black in the bloom pass so it still occludes
+  const BLOOM_LAYER = 1;
+
+  const POST_SHADERS = {
+    vertex: [
+      'varying vec2 vUv;',
+      'void main(){',
+      '  vUv = uv;',
+      '  gl_Position = vec4(position.xy, 0.0, 1.0);',
+      '}'
+    ].join('\n'),
+    // soft luminance threshold over the bloom layer render
+    bright: [
+      'uniform sampler2D tDiffuse;',
+      'uniform float threshold;',
+      'varying vec2 vUv;',
+      'void main(){',
+      '  vec3 c = texture2D(tDiffuse, vUv).rgb;',
+      '  float l = dot(c, vec3(0.2126, 0.7152, 0.0722));',
+      '  gl_FragColor = vec4(c * smoothstep(threshold, threshold + 0.1, l), 1.0);',
+      '}'
+    ].join('\n'),
+    // 9-tap gaussian along `direction` (one texel), using linear filtering for the in-between taps
+    blur: [
+      'uniform sampler2D tDiffuse;',
+      'uniform vec2 direction;',
+      'varying vec2 vUv;',
+      'void main(){',
+      '  vec3 c = texture2D(tDiffuse, vUv).rgb * 0.2270270;',
+      '  c += (texture2D(tDiffuse, vUv + direction * 1.3846153).rgb + texture2D(tDiffuse, vUv - direction * 1.3846153).rgb) * 0.3162162;',
+      '  c += (texture2D(tDiffuse, vUv + direction * 3.2307692).rgb + texture2D(tDiffuse, vUv - direction * 3.2307692).rgb) * 0.0702703;',
+      '  gl_FragColor = vec4(c, 1.0);',
+      '}'
+    ].join('\n'),
+    // the canvas is transparent over the page, so colors stay premultiplied: bloom adds coverage and the
+    // vignette composites black over the edges rather than only darkening what the scene drew
+    screen: [
+      'uniform sampler2D tScene;',
+      'uniform sampler2D tBloom0;',
+      'uniform sampler2D tBloom1;',
+      'uniform sampler2D tBloom2;',
+      'uniform sampler2D tBloom3;',
+      'uniform vec4 bloomWeights;',
+      'uniform float bloomStrength;',
+      'uniform float aberration;',
+      'uniform float vignetteOffset;',
+      'uniform float vignetteDarkness;',
+      'uniform float grainAmount;',
+      'uniform float time;',
+      'varying vec2 vUv;',
+      'vec4 composite(vec2 uv){',
+      '  vec4 c = texture2D(tScene, uv);',
+      '  #ifdef BLOOM',
+      '  vec3 b = texture2D(tBloom0, uv).rgb * bloomWeights.x + texture2D(tBloom1, uv).rgb * bloomWeights.y;',
+      '  b += texture2D(tBloom2, uv).rgb * bloomWeights.z + texture2D(tBloom3, uv).rgb * bloomWeights.w;',
+      '  b *= bloomStrength;',
+      '  c.rgb += b;',
+      '  c.a = clamp(c.a + dot(b, vec3(0.2126, 0.7152, 0.0722)), 0.0, 1.0);',
+      '  #endif',
+      '  return c;',
+      '}',
+      'float random(vec2 p){',
+      '  return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);',
+      '}',
+      'void main(){',
+      '  #ifdef ABERRATION',
+      '  vec2 shift = (vUv - 0.5) * aberration;',
+      '  vec4 r = composite(vUv + shift);',
+      '  vec4 g = composite(vUv);',
+      '  vec4 b = composite(vUv - shift);',
+      '  vec4 c = vec4(r.r, g.g, b.b, max(max(r.a, g.a), b.a));',
+      '  #else',
+      '  vec4 c = composite(vUv);',
+      '  #endif',
+      '  #ifdef GRAIN',
+      '  c.rgb = max(c.rgb + (random(vUv * 1000.0 + fract(time)) - 0.5) * grainAmount * c.a, 0.0);',
+      '  #endif',
+      '  #ifdef VIGNETTE',
+      '  float f = 1.0 - smoothstep(vignetteOffset, 1.0, length(vUv - 0.5) * 1.4142) * vignetteDarkness;',
+      '  c = vec4(c.rgb * f, 1.0 - f + c.a * f);',
+      '  #endif',
+      '  gl_FragColor = c;',
+      '  #include <tonemapping_fragment>',
+      '  #include <colorspace_fragment>',
+      '}'
+    ].join('\n')
+  };
+
+  // render(time) replaces renderer.render(scene, camera); with every pass off, or on a tier without
+  // post-processing, it is exactly that call and the render targets are released
+  function createPostStack(renderer, scene, camera) {
+    const screenScene = new THREE.Scene();
+    const screenCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2));
+    quad.frustumCulled = false;
+    screenScene.add(quad);
+
+    function material(fragmentShader, uniforms) {
+      return new THREE.ShaderMaterial({ uniforms, vertexShader: POST_SHADERS.vertex, fragmentShader, depthTest: false, depthWrite: false });
+    }
+    const brightMat = material(POST_SHADERS.bright, { tDiffuse: { value: null }, threshold: { value: 0 } });
+    const blurMat = material(POST_SHADERS.blur, { tDiffuse: { value: null }, direction: { value: new THREE.Vector2() } });
+    const screenMat = material(POST_SHADERS.screen, {
+      tScene: { value: null },
+      tBloom0: { value: null },
+      tBloom1: { value: null },
+      tBloom2: { value: null },
+      tBloom3: { value: null },
+      bloomWeights: { value: new THREE.Vector4() },
+      bloomStrength: { value: 1 },
+      aberration: { value: 0 },
+      vignetteOffset: { value: 0 },
+      vignetteDarkness: { value: 0 },
+      grainAmount: { value: 0 },
+      time: { value: 0 }
+    });
+
+    // half floats keep bloom highlights above 1.0; WebGL1 falls back to bytes and no multisampling
+    const webgl2 = renderer.capabilities.isWebGL2;
+    const targetType = webgl2 ? THREE.HalfFloatType : THREE.UnsignedByteType;
+    const target = (depth, samples = 0) => new THREE.WebGLRenderTarget(1, 1, { type: targetType, samples: webgl2 ? samples : 0, depthBuffer: depth });
+    const sceneTarget = target(true, CFG.three.post.samples);
+    const bloomTarget = target(true);
+    const brightTarget = target(false);
+    const bloomLayers = new THREE.Layers();
+    bloomLayers.set(BLOOM_LAYER);
+    const darkMat = new THREE.MeshBasicMaterial({ color: 0x000000, fog: false });
+    const black = new THREE.Color(0x000000);
+    const clearColor = new THREE.Color();
+    const hidden = new Map();
+    let levels = [];
+    let size = { width: 1, height: 1, ratio: 1 };
+    let tierAllows = true;
+    let active = false;
+    let bloom = false;
+
+    function allTargets() {
+      return [sceneTarget, bloomTarget, brightTarget].concat(...levels.map((level) => [level.h, level.v]));
+    }
+
+    function setSize(width, height, ratio) {
+      size = { width, height, ratio };
+      if (!active) return;
+      const w = Math.max(1, Math.round(width * ratio));
+      const h = Math.max(1, Math.round(height * ratio));
+      sceneTarget.setSize(w, h);
+      const res = CFG.three.post.bloom.resolution;
+      const bw = Math.max(1, Math.round(w * res));
+      const bh = Math.max(1, Math.round(h * res));
+      bloomTarget.setSize(bw, bh);
+      brightTarget.setSize(bw, bh);
+      levels.forEach((level, i) => {
+        const lw = Math.max(1, bw >> i);
+        const lh = Math.max(1, bh >> i);
+        level.h.setSize(lw, lh);
+        level.v.setSize(lw, lh);
+        level.texel = [1 / lw, 1 / lh];
+      });
+    }
+
+    function setDefine(name, on) {
+      if (!!screenMat.defines[name] === on) return;
+      if (on) screenMat.defines[name] = '';
+      else delete screenMat.defines[name];
+      screenMat.needsUpdate = true;
+    }
+
+    // (re)reads CFG.three.post; call it after changing the config at runtime
+    function update() {
+      const opts = CFG.three.post;
+      bloom = opts.bloom.enabled;
+      const passes = bloom || opts.aberration.enabled || opts.vignette.enabled || opts.grain.enabled;
+      const wasActive = active;
+      active = opts.enabled && tierAllows && passes;
+
+      const count = clamp(Math.round(opts.bloom.levels), 1, 4);
+      if (levels.length !== count) {
+        levels.forEach((level) => {
+          level.h.dispose();
+          level.v.dispose();
+        });
+        levels = Array.from({ length: count }, () => ({ h: target(false), v: target(false), texel: [1, 1] }));
+      }
+      // wider radius shifts weight towards the blurrier, lower resolution levels
+      const weights = [0, 1, 2, 3].map((i) => (i < count ? lerp(1 / (i + 1), 1, opts.bloom.radius) : 0));
+      screenMat.uniforms.bloomWeights.value.set(...weights);
+      ['tBloom0', 'tBloom1', 'tBloom2', 'tBloom3'].forEach((key, i) => {
+        screenMat.uniforms[key].value = levels[Math.min(i, count - 1)].v.texture;
+      });
+      screenMat.uniforms.tScene.value = sceneTarget.texture;
+      screenMat.uniforms.bloomStrength.value = opts.bloom.strength;
+      brightMat.uniforms.threshold.value = opts.bloom.threshold;
+      screenMat.uniforms.aberration.value = opts.aberration.amount;
+      screenMat.uniforms.vignetteOffset.value = opts.vignette.offset;
+      screenMat.uniforms.vignetteDarkness.value = opts.vignette.darkness;
+      screenMat.uniforms.grainAmount.value = opts.grain.amount;
+      setDefine('BLOOM', bloom);
+      setDefine('ABERRATION', opts.aberration.enabled);
+      setDefine('VIGNETTE', opts.vignette.enabled);
+      setDefine('GRAIN', opts.grain.enabled);
+
+      if (active) setSize(size.width, size.height, size.ratio);
+      else if (wasActive) allTargets().forEach((t) => t.dispose());
+    }
+
+    // opaque non-bloom meshes turn black so they hide the glow behind them; other non-bloom drawables are skipped
+    function darken(node) {
+      if (!node.material || node.layers.test(bloomLayers)) return;
+      const mats = Array.isArray(node.material) ? node.material : [node.material];
+      if (node.isMesh && !mats.some((m) => m.transparent)) {
+        hidden.set(node, { material: node.material });
+        node.material = darkMat;
+      } else if (node.visible) {
+        hidden.set(node, { visible: true });
+        node.visible = false;
+      }
+    }
+
+    function renderBloomSource() {
+      const background = scene.background;
+      const alpha = renderer.getClearAlpha();
+      renderer.getClearColor(clearColor);
+      scene.background = null;
+      renderer.setClearColor(black, 1);
+      scene.traverse(darken);
+      renderer.setRenderTarget(bloomTarget);
+      renderer.render(scene, camera);
+      hidden.forEach((saved, node) => {
+        if (saved.material) node.material = saved.material;
+        else node.visible = true;
+      });
+      hidden.clear();
+      scene.background = background;
+      renderer.setClearColor(clearColor, alpha);
+    }
+
+    function pass(mat, output) {
+      quad.material = mat;
+      renderer.setRenderTarget(output);
+      renderer.render(screenScene, screenCamera);
+    }
+
+    function render(time) {
+      if (!active) {
+        renderer.render(scene, camera);
+        return;
+      }
+      // renderer.info sums every pass of the frame for the HUD instead of keeping only the last one
+      const info = renderer.info;
+      info.reset();
+      info.autoReset = false;
+      renderer.setRenderTarget(sceneTarget);
+      renderer.render(scene, camera);
+      if (bloom) {
+        renderBloomSource();
+        brightMat.uniforms.tDiffuse.value = bloomTarget.texture;
+        pass(brightMat, brightTarget);
+        let input = brightTarget;
+        levels.forEach((level) => {
+          blurMat.uniforms.tDiffuse.value = input.texture;
+          blurMat.uniforms.direction.value.set(level.texel[0], 0);
+          pass(blurMat, level.h);
+          blurMat.uniforms.tDiffuse.value = level.h.texture;
+          blurMat.uniforms.direction.value.set(0, level.texel[1]);
+          pass(blurMat, level.v);
+          input = level.v;
+        });
+      }
+      screenMat.uniforms.time.value = time / 1000;
+      pass(screenMat, null);
+      info.autoReset = true;
+    }
+
+    update();
+
+    return {
+      render,
+      setSize,
+      update,
+      // the lowest quality tier turns the whole stack off
+      setTier(allowed) {
+        tierAllows = allowed;
+        update();
+      },
+      active: () => active,
+      // adds `object` and its descendants to (or removes them from) the bloom selection
+      bloom(object, on = true) {
+        object.traverse((node) => {
+          if (on) node.layers.enable(BLOOM_LAYER);
+          else node.layers.disable(BLOOM_LAYER);
+        });
+      },
+      dispose() {
+        allTargets().forEach((t) => t.dispose());
+        [brightMat, blurMat, screenMat, darkMat].forEach((mat) => mat.dispose());
+        quad.geometry.dispose();
+      }
+    };
+  }
+
+  /* ------------------------------
+   * 3D scene (Three.js) setup and lightweight procedural content
+   * ------------------------------ */
+  function setupThree() {
+    const canvas = q(CFG.selectors.canvas);
+    if (!canvas) return null;
+
+    // Renderer
+    const scope = createScope();
+    const renderer = new THREE.WebGLRenderer({ canvas, antialias: true, alpha: true });
+    // the canvas stays transparent so the themed page background shows through
+    renderer.setClearColor(0x000000, 0);
+    // colors come from the active theme and are tweened in place by setPalette()
+    const palette = Theme.palette();
+    let pixelRatioLimit = CFG.three.pixelRatioLimit;
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, pixelRatioLimit));
+    renderer.shadowMap.enabled = true;
+    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+
+    // Scene and camera
+    const scene = new THREE.Scene();
+    scene.fog = new THREE.FogExp2(palette.fog, 0.0022);
+    const camera = new THREE.PerspectiveCamera(CFG.three.camera.fov, window.innerWidth / window.innerHeight, CFG.three.camera.near, CFG.three.camera.far);
+    camera.position.set(CFG.three.camera.x, CFG.three.camera.y, CFG.three.camera.z);
+
+    // Controls: created disabled on every device; setupCameraModes() enables them for the 'drag-orbit'
+    // mode and forwards presses from the section covering the canvas. They still update every frame to
+    // aim the camera at controls.target. Wheel zoom stays off so the wheel scrolls the page. Without the
+    // OrbitControls addon `controls` is null and the camera path aims the camera itself
+    const controls = THREE.OrbitControls ? new THREE.OrbitControls(camera, renderer.domElement) : null;
+    if (controls) {
+      controls.enabled = false;
+      controls.enableDamping = true;
+      controls.dampingFactor = 0.08;
+      controls.autoRotate = false;
+      controls.enablePan = false;
+      controls.enableZoom = false;
+      controls.minDistance = 2;
+      controls.maxDistance = 20;
+    }
+
+    // replaces renderer.render(scene, camera) in the render task
+    const post = createPostStack(renderer, scene, camera);
+
+    // requests a redraw for changes the reduced-motion render skip cannot see: sizes, materials, textures
+    let dirty = true;
+    function invalidate() {
+      dirty = true;
+    }
+
+    // Responsive resize
+    function resize() {
+      const DPR = Math.min(window.devicePixelRatio || 1, pixelRatioLimit);
+      const w = window.innerWidth;
+      const h = window.innerHeight;
+      renderer.setPixelRatio(DPR);
+      renderer.setSize(w, h);
+      post.setSize(w, h, DPR);
+      camera.aspect = w / h;
+      camera.updateProjectionMatrix();
+      invalidate();
+    }
+
+    scope.on(window, 'resize', debounce(resize, 80));
+    resize();
+
+    // Lights
+    const hemi = new THREE.HemisphereLight(palette.hemiSky, palette.hemiGround, 0.6);
+    scene.add(hemi);
+    const dir = new THREE.DirectionalLight(0xffffff, 0.9);
+    dir.position.set(6, 8, 6);
+    dir.castShadow = true;
+    dir.shadow.mapSize.set(2048, 2048);
+    dir.shadow.camera.near = 0.5;
+    dir.shadow.camera.far = 500;
+    scene.add(dir);
+
+    // subtle environment sphere to color ambient
+    const envMat = new THREE.MeshBasicMaterial({ color: palette.env, side: THREE.BackSide, transparent: true, opacity: 0.12 });
+    const envSphere = new THREE.Mesh(new THREE.SphereGeometry(60, 24, 24), envMat);
+    envSphere.receiveShadow = false;
+    scene.add(envSphere);
+
+    // Group for objects
+    const root = new THREE.Group();
+    scene.add(root);
+
+    // Procedural torus cluster (decorative)
+    const torusGroup = new THREE.Group();
+    root.add(torusGroup);
+
+    const torusCount = 9;
+    function torusColor(p, i) {
+      return new THREE.Color().setHSL((p.torus.hue + (i / torusCount) * p.torus.range) % 1, p.torus.saturation, p.torus.lightness);
+    }
+
+    (function buildTori() {
+      const count = torusCount;
+      for (let i = 0; i < count; i++) {
+        const geo = new THREE.TorusGeometry(0.8 + i * 0.08, 0.08 + (i % 2) * 0.03, 20, 80);
+        geo.userData.torus = [0.8 + i * 0.08, 0.08 + (i % 2) * 0.03];
+        const mat = new THREE.MeshStandardMaterial({
+          color: torusColor(palette, i),
+          metalness: 0.6,
+          roughness: 0.18,
+          emissive: new THREE.Color(0x001f2f).multiplyScalar(0.3)
+        });
+        const mesh = new THREE.Mesh(geo, mat);
+        mesh.castShadow = false;
+        mesh.receiveShadow = false;
+        mesh.position.set(Math.cos(i / count * Math.PI * 2) * (1.6 + i * 0.14), Math.sin(i / count * Math.PI * 2) * (0.6 + i * 0.06), -i * 0.06);
+        mesh.rotation.x = Math.PI * 0.15 * (i % 2 ? -1 : 1);
+        mesh.userData.index = i;
+        torusGroup.add(mesh);
+      }
+    })();
+
+    // Particle field (simple GPU-friendly points); buffers are sized for the richest tier and the
+    // active count is applied with setDrawRange
+    const particleCount = Math.max(420, ...Object.keys(CFG.quality.tiers).map((k) => CFG.quality.tiers[k].particles));
+    const particlesGeo = new THREE.BufferGeometry();
+    const pos = new Float32Array(particleCount * 3);
+    const sizes = new Float32Array(particleCount);
+    for (let i = 0; i < particleCount; i++) {
+      pos[i * 3 + 0] = (Math.random() - 0.5) * 18;
+      pos[i * 3 + 1] = (Math.random() - 0.5) * 6;
+      pos[i * 3 + 2] = (Math.random() - 0.5) * 6;
+      sizes[i] = Math.random() * 8 + 6;
+    }
+    particlesGeo.setAttribute('position', new THREE.BufferAttribute(pos, 3));
+    particlesGeo.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+    const particlesMat = new THREE.ShaderMaterial({
+      transparent: true,
+      depthWrite: false,
+      uniforms: {
+        uTime: { value: 0 },
+        uPixelRatio: { value: Math.min(window.devicePixelRatio || 1, pixelRatioLimit) },
+        uColor: { value: new THREE.Color(palette.particles) },
+        uOpacity: { value: 1 }
+      },
+      vertexShader: [
+        'attribute float size;',
+        'uniform float uTime;',
+        'uniform float uPixelRatio;',
+        'varying float vAlpha;',
+        'void main(){',
+        '  vec3 p = position;',
+        '  float t = uTime * 0.0006;',
+        '  p.x += sin(p.z * 0.1 + t * 2.0) * 0.6;',
+        '  p.y += cos(p.x * 0.06 + t * 1.2) * 0.2;',
+        '  vec4 mvPosition = modelViewMatrix * vec4(p, 1.0);',
+        '  gl_PointSize = size * (uPixelRatio) * (150.0 / -mvPosition.z);',
+        '  vAlpha = 0.7 - clamp(length(p) * 0.03, 0.0, 0.7);',
+        '  gl_Position = projectionMatrix * mvPosition;',
+        '}'
+      ].join('\n'),
+      fragmentShader: [
+        'uniform vec3 uColor;',
+        'uniform float uOpacity;',
+        'varying float vAlpha;',
+        'void main(){',
+        '  vec2 uv = gl_PointCoord - 0.5;',
+        '  float d = length(uv);',
+        '  float a = smoothstep(0.6, 0.0, d);',
+        '  gl_FragColor = vec4(uColor, a * vAlpha * uOpacity);',
+        '}'
+      ].join('\n')
+    });
+    const particleSystem = new THREE.Points(particlesGeo, particlesMat);
+    particleSystem.position.set(0, 0, -8);
+    root.add(particleSystem);
+
+    // subtle ground plane (for contact)
+    const planeGeo = new THREE.PlaneGeometry(160, 40, 2, 2);
+    const planeMat = new THREE.MeshStandardMaterial({ color: palette.plane, roughness: 1, metalness: 0 });
+    const plane = new THREE.Mesh(planeGeo, planeMat);
+    plane.rotation.x = -Math.PI / 2.6;
+    plane.position.y = -6.6;
+    plane.receiveShadow = true;
+    scene.add(plane);
+
+    // small orbiting point light for cinematic highlights
+    const orbitLight = new THREE.PointLight(palette.light, 0.9, 48, 2);
+    orbitLight.position.set(4, 3.4, 2);
+    scene.add(orbitLight);
+
+    // the glowing pieces bloom
+    post.bloom(particleSystem);
+    post.bloom(torusGroup);
+
+    // Raycaster for pointer interactions
+    const ray = new THREE.Raycaster();
+    const pointer = new THREE.Vector2(-1, -1);
+
+    // pointer effect target: where the pointer ray crosses the z = 0 plane
+    const pointer3D = new THREE.Vector3();
+    const planeZ = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
+
+    function onPointerMove(e) {
+      const x = (e.clientX / window.innerWidth) * 2 - 1;
+      const y = -(e.clientY / window.innerHeight) * 2 + 1;
+      pointer.set(x, y);
+      ray.setFromCamera(pointer, camera);
+      ray.ray.intersectPlane(planeZ, pointer3D);
+    }
+
+    scope.on(window, 'pointermove', onPointerMove, { passive: true });
+
+    // interactive hover effect: scale nearest torus based on pointer proximity
+    function updateTori(dt) {
+      if (reducedMotion()) return;
+      torusGroup.children.forEach((m) => {
+        const d = m.position.distanceTo(pointer3D);
+        const t = clamp(1 - d * 0.26, 0, 1);
+        const s = lerp(0.98, 1.14, easeOutCubic(t));
+        m.scale.setScalar(s);
+        m.rotation.z += 0.002 + 0.002 * (m.userData.index % 3);
+        m.rotation.y += 0.001;
+      });
+    }
+
+    // scene state driven from outside (scroll choreography); the wobble below is layered on top
+    const sceneState = { spin: 0, tilt: 0, tori: 1, particles: 1, light: 0.9 };
+    const frameHooks = [];
+
+    // small wobble root
+    let elapsed = 0;
+    function animateThree(dt) {
+      // reduced motion freezes the ambient drift; scroll-driven poses still apply
+      if (!reducedMotion()) elapsed += dt;
+      frameHooks.forEach((fn) => fn(dt, elapsed));
+      // rotate root slowly for parallax depth
+      root.rotation.y = sceneState.spin + Math.sin(elapsed * 0.0005) * 0.12;
+      root.rotation.x = sceneState.tilt;
+      root.position.y = Math.sin(elapsed * 0.0003) * 0.12;
+      torusGroup.scale.setScalar(sceneState.tori);
+      particleSystem.material.uniforms.uTime.value = elapsed;
+      particleSystem.material.uniforms.uOpacity.value = sceneState.particles;
+      if (!reducedMotion()) particleSystem.rotation.y += 0.0002;
+      orbitLight.intensity = sceneState.light;
+      orbitLight.position.x = Math.cos(elapsed * 0.0007) * 3.6;
+      orbitLight.position.z = Math.sin(elapsed * 0.0009) * 3.6;
+      // update interactive pieces
+      updateTori(dt);
+      if (controls) controls.update();
+    }
+
+    // with reduced motion the scene is only redrawn when a frame would differ from the last one: a
+    // transform, camera, opacity or sceneState change, or an invalidate() (see above)
+    let signature = NaN;
+
+    // weighted sum of everything that moves without touching materials; any change shows up in it
+    function sceneSignature() {
+      let sum = 0;
+      let n = 0;
+      const add = (value) => {
+        n += 1;
+        sum += value * ((n % 97) + 1);
+      };
+      const addMatrix = (m) => m.elements.forEach(add);
+      scene.updateMatrixWorld();
+      camera.updateMatrixWorld();
+      addMatrix(camera.matrixWorld);
+      addMatrix(camera.projectionMatrix);
+      scene.traverseVisible((obj) => {
+        addMatrix(obj.matrixWorld);
+        if (obj.material && !Array.isArray(obj.material)) add(obj.material.opacity);
+      });
+      Object.keys(sceneState).forEach((key) => add(sceneState[key]));
+      return sum;
+    }
+
+    function renderThree() {
+      if (reducedMotion()) {
+        const next = sceneSignature();
+        if (!dirty && next === signature) return;
+        signature = next;
+      }
+      dirty = false;
+      post.render(elapsed);
+    }
+
+    // Animation loop: simulation, render and HUD run in their Frame phases
+    let tasks = [];
+    let lost = false;
+    function start() {
+      if (tasks.length || lost) return;
+      invalidate();
+      tasks = [
+        Frame.add('simulation', animateThree, { scene: true, name: 'three' }),
+        Frame.add('render', renderThree, { scene: true, name: 'three-render' }),
+        Frame.add('hud', () => Perf.frameTick(renderer), { name: 'perf' }),
+        Diagnostics.attach(renderer)
+      ];
+    }
+
+    function stop() {
+      tasks.forEach((remove) => remove());
+      tasks = [];
+    }
+
+    scope.add(Frame.watch(canvas));
+    start();
+
+    // GPU context loss: nothing is drawn until the browser hands the context back. The renderer
+    // re-creates its internal GL state on restore; here every material is recompiled, every texture
+    // re-uploaded and shadow maps dropped so buffers, programs and render targets are rebuilt on the
+    // next frame
+    function rebuild() {
+      scene.traverse((obj) => {
+        (Array.isArray(obj.material) ? obj.material : [obj.material]).forEach((mat) => {
+          if (!mat) return;
+          mat.needsUpdate = true;
+          Object.keys(mat).forEach((key) => {
+            if (mat[key] && mat[key].isTexture) mat[key].needsUpdate = true;
+          });
+        });
+        if (obj.geometry) Object.keys(obj.geometry.attributes).forEach((key) => {
+          obj.geometry.attributes[key].needsUpdate = true;
+        });
+        if (obj.isLight && obj.shadow && obj.shadow.map) {
+          obj.shadow.map.dispose();
+          obj.shadow.map = null;
+        }
+      });
+    }
+
+    scope.on(canvas, 'webglcontextlost', (e) => {
+      // without preventDefault the browser never offers the context back
+      e.preventDefault();
+      lost = true;
+      stop();
+      Events.emit('webgl:lost', { renderer });
+    });
+    scope.on(canvas, 'webglcontextrestored', () => {
+      lost = false;
+      rebuild();
+      start();
+      Events.emit('webgl:restored', { renderer });
+    });
+
+    // forces a context loss through WEBGL_lose_context (for testing recovery); a negative
+    // restoreAfter leaves the context lost
+    function loseContext(restoreAfter = 1000) {
+      const ext = renderer.getContext().getExtension('WEBGL_lose_context');
+      if (!ext) return false;
+      ext.loseContext();
+      if (restoreAfter >= 0) setTimeout(() => ext.restoreContext(), restoreAfter);
+      return true;
+    }
+
+    // a theme switch after the first one is tweened; the initial theme applies at once
+    scope.add(Events.on('theme:changed', ({ palette, from }) => {
+      setPalette(palette, from && !reducedMotion() ? CFG.theme.duration : 0);
+    }));
+
+    // quality tiers: pixel ratio, shadow map, particle count and torus tessellation
+    function applyQuality(tier) {
+      pixelRatioLimit = Math.min(tier.pixelRatio, CFG.three.pixelRatioLimit);
+      resize();
+      particlesMat.uniforms.uPixelRatio.value = renderer.getPixelRatio();
+      if (renderer.shadowMap.enabled !== tier.shadows) {
+        renderer.shadowMap.enabled = tier.shadows;
+        scene.traverse((obj) => {
+          if (obj.material) obj.material.needsUpdate = true;
+        });
+      }
+      dir.castShadow = tier.shadows;
+      if (dir.shadow.mapSize.x !== tier.shadowMapSize) {
+        dir.shadow.mapSize.set(tier.shadowMapSize, tier.shadowMapSize);
+        if (dir.shadow.map) {
+          dir.shadow.map.dispose();
+          dir.shadow.map = null;
+        }
+      }
+      particlesGeo.setDrawRange(0, Math.min(tier.particles, particleCount));
+      post.setTier(tier.post !== false);
+      const [radial, tubular] = tier.torusSegments;
+      torusGroup.children.forEach((m) => {
+        const params = m.geometry.parameters;
+        if (params.radialSegments === radial && params.tubularSegments === tubular) return;
+        const [radius, tube] = m.geometry.userData.torus;
+        m.geometry.dispose();
+        m.geometry = new THREE.TorusGeometry(radius, tube, radial, tubular);
+        m.geometry.userData.torus = [radius, tube];
+      });
+      invalidate();
+    }
+
+    // every themed color paired with its value in palette `p`
+    function paletteTargets(p) {
+      return [
+        [scene.fog.color, p.fog],
+        [hemi.color, p.hemiSky],
+        [hemi.groundColor, p.hemiGround],
+        [envMat.color, p.env],
+        [planeMat.color, p.plane],
+        [particlesMat.uniforms.uColor.value, p.particles],
+        [orbitLight.color, p.light]
+      ].concat(torusGroup.children.map((m) => [m.material.color, torusColor(p, m.userData.index)]));
+    }
+
+    // tweens materials and lights to palette `p`; a zero duration applies it at once
+    function setPalette(p, duration) {
+      paletteTargets(p).forEach(([color, value]) => {
+        const to = new THREE.Color(value);
+        gsap.killTweensOf(color);
+        if (!duration) color.copy(to);
+        else gsap.to(color, { r: to.r, g: to.g, b: to.b, duration, ease: 'power2.inOut', onUpdate: invalidate });
+      });
+      invalidate();
+    }
+
+    // Expose a small API for external animations and debug
+    return {
+      renderer,
+      scene,
+      camera,
+      controls,
+      root,
+      tori: torusGroup,
+      sceneState,
+      resize,
+      // returns a function that removes the hook
+      onFrame(fn) {
+        frameHooks.push(fn);
+        return () => {
+          const i = frameHooks.indexOf(fn);
+          if (i !== -1) frameHooks.splice(i, 1);
+        };
+      },
+      applyQuality,
+      setPalette,
+      // asks for a redraw under reduced motion after a change the scene cannot detect (materials, textures)
+      invalidate,
+      post,
+      loseContext,
+      isContextLost: () => lost,
+      start,
+      stop,
+      // stops the loop, drops listeners and GPU resources and releases the WebGL context; the canvas
+      // is swapped for a fresh clone because a lost context cannot be reacquired from the same element
+      dispose: function () {
+        stop();
+        scope.dispose();
+        paletteTargets(palette).forEach(([color]) => gsap.killTweensOf(color));
+        frameHooks.length = 0;
+        if (controls) controls.dispose();
+        post.dispose();
+        disposeObject3D(scene);
+        scene.clear();
+        renderer.renderLists.dispose();
+        renderer.dispose();
+        renderer.forceContextLoss();
+        if (canvas.parentNode) canvas.parentNode.replaceChild(canvas.cloneNode(false), canvas);
+      }
+    };
+  }
 
   /* ------------------------------
-   * Form validation / submission (local simulated)
+   * Scroll-driven camera choreography (one pose per [data-section])
    * ------------------------------ */
-  function setupForm() {
-    const form = q(CFG.selectors.form);
-    const status = q(CFG.selectors.formStatus);
-    if (!form) return;
-    on(form, 'submit', (e) => {
-      e.preventDefault();
-      const fd = new FormData(form);
-      const name = String(fd.get('name') || '').trim();
-      const email = String(fd.get('email') || '').trim();
-      const message = String(fd.get('message') || '').trim();
-      if (!name) {
-        if (status) status.textContent = 'Please enter your name';
-        Toast.create('Please enter your name');
-        return;
+  function parseVec3(str, fallback) {
+    if (!str) return fallback;
+    const parts = String(str).split(',').map((v) => Number(v.trim()));
+    return parts.length === 3 && parts.every(Number.isFinite) ? parts : fallback;
+  }
+
+  // resolve the pose for a section: CFG defaults first, then data-* overrides on the element
+  function readPose(section, base) {
+    const defaults = CFG.three.choreography.poses.hero;
+    const cfg = CFG.three.choreography.poses[section.dataset.section] || base || defaults;
+    const scene = Object.assign({}, defaults.scene, cfg.scene);
+    Object.keys(section.dataset).forEach((k) => {
+      if (k.indexOf('scene') !== 0 || k.length <= 5) return;
+      const key = k.charAt(5).toLowerCase() + k.slice(6);
+      if (key in scene) scene[key] = num(section.dataset[k], scene[key]);
+    });
+    return {
+      camera: parseVec3(section.dataset.camera, cfg.camera || defaults.camera),
+      target: parseVec3(section.dataset.cameraTarget, cfg.target || defaults.target),
+      scene
+    };
+  }
+
+  function setupCameraPath(three) {
+    const opts = CFG.three.choreography;
+    if (!three || !opts.enabled || typeof ScrollTrigger === 'undefined') return null;
+    const sections = qAll(CFG.selectors.sections);
+    if (!sections.length) return null;
+
+    const poses = [];
+    sections.forEach((section, i) => poses.push(readPose(section, poses[i - 1])));
+
+    // goal is what the scroll position asks for; the frame hook eases the scene towards it
+    const goal = { camera: poses[0].camera.slice(), target: poses[0].target.slice(), scene: Object.assign({}, poses[0].scene) };
+    const progress = new Array(sections.length).fill(0);
+    // offset layers are summed on top of the scroll pose; other modules (the 3D showcase, camera
+    // modes) animate their own layer
+    const layers = [];
+    function addOffset() {
+      const layer = { camera: [0, 0, 0], target: [0, 0, 0] };
+      layers.push(layer);
+      return layer;
+    }
+    const offset = addOffset();
+    const sum = { camera: [0, 0, 0], target: [0, 0, 0] };
+
+    function blend(from, to, t) {
+      for (let k = 0; k < 3; k++) {
+        goal.camera[k] = lerp(from.camera[k], to.camera[k], t);
+        goal.target[k] = lerp(from.target[k], to.target[k], t);
       }
-      if (!/\S+@\S+\.\S+/.test(email)) {
-        if (status) status.textContent = 'Please enter a valid email';
-        Toast.create('Please enter a valid email');
-        return;
+      Object.keys(goal.scene).forEach((k) => {
+        goal.scene[k] = lerp(from.scene[k], to.scene[k], t);
+      });
+    }
+
+    // segment i blends pose i-1 into pose i while section i scrolls from viewport bottom to top
+    function recompute() {
+      let seg = 0;
+      for (let i = 1; i < progress.length; i++) {
+        if (progress[i] > 0) seg = i;
       }
-      if (!message || message.length < 12) {
-        if (status) status.textContent = 'Tell us a bit more about the project';
-        Toast.create('Tell us a bit more about the project');
-        return;
+      if (seg === 0) blend(poses[0], poses[0], 0);
+      else blend(poses[seg - 1], poses[seg], progress[seg]);
+    }
+
+    const triggers = sections.slice(1).map((section, idx) => ScrollTrigger.create({
+      trigger: section,
+      start: 'top bottom',
+      end: 'top top',
+      onUpdate(self) {
+        progress[idx + 1] = self.progress;
+        recompute();
+      },
+      onRefresh(self) {
+        progress[idx + 1] = self.progress;
+        recompute();
       }
-      // simulate network and show modal
-      if (status) status.textContent = 'Sending…';
-      const submitBtn = form.querySelector('button[type="submit"]');
-      if (submitBtn) submitBtn.disabled = true;
-      setTimeout(() => {
-        if (submitBtn) submitBtn.disabled = false;
-        if (status) status.textContent = '';
-        openModal('Thanks! Your request has been received. We will reply within 2 business days.');
-        form.reset();
-      }, 900 + Math.random() * 900);
+    }));
+
+    const { camera, controls, sceneState } = three;
+    const lookAt = new THREE.Vector3();
+    const removeHook = three.onFrame((dt) => {
+      // frame-rate independent damping towards the goal pose; reduced motion jumps straight to it
+      const k = reducedMotion() ? 1 : 1 - Math.pow(1 - opts.damping, dt / 16.67);
+      Object.keys(goal.scene).forEach((key) => {
+        sceneState[key] = lerp(sceneState[key], goal.scene[key], k);
+      });
+      // a held path leaves the camera to the user (drag-orbit) and eases back once released
+      if (path.hold) return;
+      for (let i = 0; i < 3; i++) {
+        sum.camera[i] = goal.camera[i];
+        sum.target[i] = goal.target[i];
+        layers.forEach((layer) => {
+          sum.camera[i] += layer.camera[i];
+          sum.target[i] += layer.target[i];
+        });
+      }
+      camera.position.set(
+        lerp(camera.position.x, sum.camera[0], k),
+        lerp(camera.position.y, sum.camera[1], k),
+        lerp(camera.position.z, sum.camera[2], k)
+      );
+      const target = controls ? controls.target : lookAt;
+      target.set(
+        lerp(target.x, sum.target[0], k),
+        lerp(target.y, sum.target[1], k),
+        lerp(target.z, sum.target[2], k)
+      );
+      if (!controls) camera.lookAt(target);
     });
+
+    recompute();
+    const path = {
+      poses,
+      triggers,
+      offset,
+      // the point the camera aims at
+      target: controls ? controls.target : lookAt,
+      hold: false,
+      poseFor: (section) => poses[sections.indexOf(section)] || null,
+      addOffset,
+      removeOffset(layer) {
+        const i = layers.indexOf(layer);
+        if (i > 0) layers.splice(i, 1);
+      },
+      destroy() {
+        removeHook();
+        triggers.forEach((t) => t.kill());
+      }
+    };
+    return path;
   }
 
   /* ------------------------------
-   * Small utilities for interactive hover/magnetic effects
+   * Camera modes: off, hover-parallax, drag-orbit (one section only) and an idle auto-tour
    * ------------------------------ */
-  function setupMagnetic() {
-    const magnets = qAll(CFG.selectors.magneticElements);
-    if (!magnets.length) return;
-    magnets.forEach((el) => {
-      const sensitivity = 36;
-      function onMove(e) {
-        const r = el.getBoundingClientRect();
-        const cx = r.left + r.width / 2;
-        const cy = r.top + r.height / 2;
-        const x = (e.clientX - cx) / sensitivity;
-        const y = (e.clientY - cy) / sensitivity;
-        el.style.transform = `translate3d(${x}px, ${y}px, 6px) rotateX(${clamp(-y, -8, 8)}deg) rotateY(${clamp(x, -8, 8)}deg)`;
-      }
-      function onLeave() {
-        el.style.transform = '';
+  const CAMERA_MODES = ['off', 'hover-parallax', 'drag-orbit', 'auto-tour'];
+
+  // parallax and the tour ride on their own camera path offset layer; drag-orbit holds the path
+  function setupCameraModes(three, cameraPath) {
+    if (!three) return null;
+    const opts = CFG.three.controls;
+    const { camera, controls, renderer } = three;
+    const scope = createScope();
+    const layer = cameraPath ? cameraPath.addOffset() : null;
+    const pointer = { x: 0, y: 0 };
+    const drift = { x: 0, y: 0 };
+    const tour = { weight: 0, time: 0 };
+    let mode = null;
+    let inSection = true;
+    let idleFor = 0;
+
+    const section = q(`[data-section="${opts.orbit.section}"]`);
+
+    // the orbit limits are centred on the section's pose: the angles of its camera seen from its target
+    const centre = new THREE.Spherical();
+    function orbitCentre() {
+      const pose = cameraPath && section ? cameraPath.poseFor(section) : null;
+      const from = pose
+        ? new THREE.Vector3(...pose.camera).sub(new THREE.Vector3(...pose.target))
+        : camera.position.clone().sub(controls.target);
+      return centre.setFromVector3(from);
+    }
+
+    // OrbitControls only while the orbit section is on screen; limits are relative to its pose.
+    // pan-y on the section hands vertical swipes to the browser (the page scrolls and the orbit gets a
+    // pointercancel) and keeps horizontal ones for the orbit
+    function syncOrbit() {
+      if (!controls) return;
+      const on = mode === 'drag-orbit' && inSection;
+      controls.enabled = on;
+      if (section) section.style.touchAction = on ? 'pan-y' : '';
+      controls.rotateSpeed = opts.orbit.rotateSpeed;
+      controls.dampingFactor = opts.orbit.damping;
+      if (on) {
+        const { theta, phi } = orbitCentre();
+        controls.minAzimuthAngle = theta - opts.orbit.azimuth;
+        controls.maxAzimuthAngle = theta + opts.orbit.azimuth;
+        controls.minPolarAngle = Math.max(0, phi - opts.orbit.polar);
+        controls.maxPolarAngle = Math.min(Math.PI, phi + opts.orbit.polar);
+      } else {
+        controls.minAzimuthAngle = -Infinity;
+        controls.maxAzimuthAngle = Infinity;
+        controls.minPolarAngle = 0;
+        controls.maxPolarAngle = Math.PI;
       }
-      on(el, 'mousemove', onMove);
-      on(el, 'mouseleave', onLeave);
-      on(el, 'touchmove', (e) => {
-        if (e.touches && e.touches[0]) onMove(e.touches[0]);
+      if (!on && cameraPath) cameraPath.hold = false;
+    }
+
+    if (section && typeof ScrollTrigger !== 'undefined') {
+      const trigger = ScrollTrigger.create({
+        trigger: section,
+        start: 'top bottom',
+        end: 'center top',
+        onToggle(self) {
+          inSection = self.isActive;
+          syncOrbit();
+        }
+      });
+      inSection = trigger.isActive;
+      scope.add(() => trigger.kill());
+    }
+    // the section covers the canvas OrbitControls listens on: presses that reach the scene are replayed
+    // on the canvas, which then captures the pointer for the rest of the drag
+    if (section && typeof PointerEvent === 'function') {
+      scope.on(section, 'pointerdown', (e) => {
+        if (!controls || !controls.enabled || !reachesScene(e)) return;
+        renderer.domElement.dispatchEvent(new PointerEvent('pointerdown', e));
+      });
+    }
+    // the path holds still during a drag and eases the camera back to its pose once released
+    if (controls) {
+      scope.on(controls, 'start', () => {
+        idleFor = 0;
+        if (cameraPath && controls.enabled) cameraPath.hold = true;
+      });
+      scope.on(controls, 'end', () => {
+        if (cameraPath) cameraPath.hold = false;
+      });
+    }
+
+    // any input resets the idle clock and so stops a running tour
+    ['pointerdown', 'wheel', 'keydown', 'touchstart', 'scroll'].forEach((type) => {
+      scope.on(window, type, () => {
+        idleFor = 0;
       }, { passive: true });
-      on(el, 'touchend', onLeave);
     });
+    scope.on(window, 'pointermove', (e) => {
+      idleFor = 0;
+      if (e.pointerType === 'touch') return;
+      pointer.x = (e.clientX / window.innerWidth) * 2 - 1;
+      pointer.y = -(e.clientY / window.innerHeight) * 2 + 1;
+    }, { passive: true });
+    scope.on(document.documentElement, 'mouseleave', () => {
+      pointer.x = 0;
+      pointer.y = 0;
+    });
+
+    scope.add(three.onFrame((dt) => {
+      const reduced = reducedMotion();
+      const follow = mode === 'hover-parallax' && !reduced;
+      const k = 1 - Math.pow(1 - opts.parallax.damping, dt / 16.67);
+      drift.x = lerp(drift.x, follow ? pointer.x : 0, k);
+      drift.y = lerp(drift.y, follow ? pointer.y : 0, k);
+
+      idleFor += dt;
+      const touring = mode === 'auto-tour' && !reduced && idleFor >= opts.tour.idle * 1000;
+      // eases in slowly, out quickly so input takes the camera back at once
+      tour.weight = lerp(tour.weight, touring ? 1 : 0, 1 - Math.pow(touring ? 0.99 : 0.8, dt / 16.67));
+      if (touring) tour.time += dt / 1000;
+      else if (tour.weight < 0.001) tour.time = 0;
+      if (!layer) return;
+
+      // the tour swings the camera around the path target at its current distance
+      const yaw = Math.sin(tour.time * opts.tour.speed) * opts.tour.yaw * tour.weight;
+      const distance = camera.position.distanceTo(cameraPath.target);
+      layer.camera[0] = drift.x * opts.parallax.strength[0] + Math.sin(yaw) * distance;
+      layer.camera[1] = drift.y * opts.parallax.strength[1] + Math.sin(tour.time * opts.tour.speed * 0.5) * opts.tour.lift * tour.weight;
+      layer.camera[2] = (Math.cos(yaw) - 1) * distance;
+    }));
+
+    function set(name) {
+      if (CAMERA_MODES.indexOf(name) === -1) {
+        console.warn(`Unknown camera mode "${name}", expected one of ${CAMERA_MODES.join(', ')}`);
+        return;
+      }
+      if (name === 'drag-orbit' && !controls) {
+        console.warn('Camera mode "drag-orbit" needs THREE.OrbitControls, which is not loaded');
+        return;
+      }
+      if (name === mode) return;
+      const previous = mode;
+      mode = name;
+      idleFor = 0;
+      syncOrbit();
+      if (previous) Events.emit('controls:changed', { mode, previous });
+    }
+
+    set(CAMERA_MODES.indexOf(opts.mode) === -1 ? 'off' : opts.mode);
+    if (CAMERA_MODES.indexOf(opts.mode) === -1) console.warn(`Unknown camera mode "${opts.mode}", using "off"`);
+    // drag-orbit without OrbitControls leaves no mode set
+    if (!mode) set('off');
+
+    scope.add(() => {
+      mode = 'off';
+      syncOrbit();
+      if (cameraPath) cameraPath.removeOffset(layer);
+    });
+
+    return {
+      get: () => mode,
+      set,
+      list: () => CAMERA_MODES.slice(),
+      touring: () => tour.weight > 0.001,
+      destroy: () => scope.dispose()
+    };
   }
 
   /* ------------------------------
-   * Hover underline accessibility wiring (keyboard + mouse focus)
+   * Scene pointer interaction: picking, hover outline and click events on registered objects
    * ------------------------------ */
-  function setupUnderlineHover() {
-    qAll(CFG.selectors.hoverUnderline).forEach((el) => {
-      on(el, 'mouseenter', () => {
-        el.classList.add('underline--visible');
+  // registered objects receive THREE events, e.g. object.addEventListener('click', (e) => {}), where
+  // e carries { point, distance, mesh, pointerType, originalEvent }; hits on descendants count for the object
+  // the sections sit edge to edge above the fixed canvas, so the canvas is never the event target:
+  // a pointer reaches the scene whenever it is not over interactive content and no modal is open
+  function reachesScene(e) {
+    const target = e.target;
+    if (Modal.count()) return false;
+    return !(target && target.closest && target.closest(CFG.selectors.sceneBlockers));
+  }
+
+  function setupInteraction(three) {
+    const opts = CFG.three.interaction;
+    if (!three || !opts.enabled) return null;
+    const { camera, renderer } = three;
+    const canvas = renderer.domElement;
+    const scope = createScope();
+    const targets = new Map();
+    const ray = new THREE.Raycaster();
+    const ndc = new THREE.Vector2();
+    const outlineMat = new THREE.MeshBasicMaterial({ side: THREE.BackSide, transparent: true, opacity: opts.outline.opacity, depthWrite: false });
+    let hulls = [];
+    let hovered = null;
+    // a mouse or pen is over the scene rather than interactive content stacked above it
+    let inside = false;
+    let lastMove = null;
+    let press = null;
+
+    function setPointer(e) {
+      const rect = canvas.getBoundingClientRect();
+      ndc.set(((e.clientX - rect.left) / rect.width) * 2 - 1, -((e.clientY - rect.top) / rect.height) * 2 + 1);
+    }
+
+    function shown(object) {
+      for (let o = object; o; o = o.parent) if (!o.visible) return false;
+      return true;
+    }
+
+    // nearest hit whose registered owner is visible
+    function pick() {
+      if (!targets.size) return null;
+      ray.setFromCamera(ndc, camera);
+      const hits = ray.intersectObjects(Array.from(targets.keys()), true);
+      for (const hit of hits) {
+        let owner = hit.object;
+        while (owner && !targets.has(owner)) owner = owner.parent;
+        if (owner && shown(owner)) return { object: owner, hit };
+      }
+      return null;
+    }
+
+    // back-face hulls slightly larger than each mesh; they share its geometry and ignore rays
+    function outline(object) {
+      hulls.forEach((hull) => hull.parent && hull.parent.remove(hull));
+      hulls = [];
+      if (!object || !targets.get(object).outline) return;
+      outlineMat.color.set(opts.outline.color || Theme.palette().light);
+      const meshes = [];
+      object.traverse((node) => {
+        if (node.isMesh) meshes.push(node);
       });
-      on(el, 'mouseleave', () => {
-        el.classList.remove('underline--visible');
+      meshes.forEach((mesh) => {
+        const hull = new THREE.Mesh(mesh.geometry, outlineMat);
+        hull.scale.setScalar(opts.outline.scale);
+        hull.raycast = () => {};
+        mesh.add(hull);
+        hulls.push(hull);
       });
-      on(el, 'focus', () => {
-        el.classList.add('underline--visible');
+    }
+
+    function emit(object, type, result, e) {
+      object.dispatchEvent({
+        type,
+        point: result ? result.hit.point : null,
+        distance: result ? result.hit.distance : Infinity,
+        mesh: result ? result.hit.object : null,
+        pointerType: e ? e.pointerType : '',
+        originalEvent: e || null
       });
-      on(el, 'blur', () => {
-        el.classList.remove('underline--visible');
+    }
+
+    function hover(result, e) {
+      const next = result ? result.object : null;
+      if (next === hovered) return;
+      const previous = hovered;
+      hovered = next;
+      outline(next);
+      // cursor is inherited, so setting it on <html> shows it over the sections covering the canvas
+      document.documentElement.style.cursor = next ? targets.get(next).cursor : '';
+      if (previous) emit(previous, 'pointerleave', null, e);
+      if (next) emit(next, 'pointerenter', result, e);
+    }
+
+    // touch has no hover: a tap highlights what it hit until the next touch
+    scope.on(window, 'pointermove', (e) => {
+      if (e.pointerType === 'touch') return;
+      inside = reachesScene(e);
+      lastMove = e;
+      if (inside) setPointer(e);
+      else if (hovered) hover(null, e);
+    }, { passive: true });
+    scope.on(document.documentElement, 'pointerleave', (e) => {
+      inside = false;
+      if (e.pointerType !== 'touch') hover(null, e);
+    });
+    scope.on(window, 'pointerdown', (e) => {
+      if (e.pointerType === 'touch' && hovered) hover(null, e);
+      press = reachesScene(e) && e.isPrimary !== false ? { id: e.pointerId, x: e.clientX, y: e.clientY, t: now() } : null;
+    }, { passive: true });
+    scope.on(window, 'pointercancel', () => {
+      press = null;
+    });
+    // a short, still press is a click for every pointer type, so drags and swipes never trigger one
+    scope.on(window, 'pointerup', (e) => {
+      const p = press;
+      press = null;
+      if (!p || e.pointerId !== p.id) return;
+      if (now() - p.t > opts.tapTime || Math.hypot(e.clientX - p.x, e.clientY - p.y) > opts.tapSlop) return;
+      setPointer(e);
+      const result = pick();
+      if (e.pointerType === 'touch') hover(result, e);
+      if (result) emit(result.object, 'click', result, e);
+    });
+
+    // objects move under a resting mouse as the camera follows the scroll, so hover is picked every frame
+    scope.add(Frame.add('input', () => {
+      if (inside) hover(pick(), lastMove);
+    }, { scene: true, name: 'scene-pointer' }));
+
+    function remove(object) {
+      if (object === hovered) hover(null);
+      targets.delete(object);
+    }
+
+    scope.add(() => {
+      hover(null);
+      targets.clear();
+      outlineMat.dispose();
+    });
+
+    return {
+      // options: { cursor: 'pointer', outline: true }; returns a function that unregisters the object
+      add(object, options = {}) {
+        targets.set(object, Object.assign({ cursor: 'pointer', outline: true }, options));
+        return () => remove(object);
+      },
+      remove,
+      hovered: () => hovered,
+      destroy: () => scope.dispose()
+    };
+  }
+
+  // tori listed in CFG.three.interaction.links scroll the page to their section when clicked
+  function setupTorusLinks(three, interaction) {
+    if (!three || !interaction) return null;
+    const links = CFG.three.interaction.links;
+    const removers = [];
+    three.tori.children.forEach((mesh) => {
+      const target = links[mesh.userData.index] && q(links[mesh.userData.index]);
+      if (!target) return;
+      const onClick = () => Scroll.scrollTo(target, { offset: -navOffset() });
+      mesh.addEventListener('click', onClick);
+      removers.push(interaction.add(mesh), () => mesh.removeEventListener('click', onClick));
+    });
+    return () => removers.forEach((fn) => fn());
+  }
+
+  /* ------------------------------
+   * WebGL resilience: counts context losses and gives up on the live scene when they pile up
+   * ------------------------------ */
+  function setupResilience(three, onGiveUp) {
+    if (!three) return null;
+    const opts = CFG.three.recovery;
+    const scope = createScope();
+    const losses = [];
+    let timer = null;
+
+    function giveUp(reason) {
+      clearTimeout(timer);
+      try {
+        sessionStorage.setItem(opts.storageKey, reason);
+      } catch (e) {
+        // the next visit will try WebGL again
+      }
+      onGiveUp(reason);
+    }
+
+    scope.add(Events.on('webgl:lost', () => {
+      const t = now();
+      losses.push(t);
+      while (t - losses[0] > opts.window) losses.shift();
+      if (losses.length > opts.maxLosses) {
+        giveUp('repeated-loss');
+        return;
+      }
+      clearTimeout(timer);
+      timer = setTimeout(() => giveUp('not-restored'), opts.restoreTimeout);
+    }));
+    scope.add(Events.on('webgl:restored', () => clearTimeout(timer)));
+    scope.add(() => clearTimeout(timer));
+    return () => scope.dispose();
+  }
+
+  // true when an earlier context-loss cascade in this session retired the live scene
+  function webglRetired() {
+    try {
+      return !!sessionStorage.getItem(CFG.three.recovery.storageKey);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /* ------------------------------
+   * Showcase mirrored into the 3D scene (panel ring that follows the carousel)
+   * ------------------------------ */
+  function setupShowcase3D(three, showcase, cameraPath, interaction) {
+    const opts = CFG.showcase.scene;
+    if (!three || !showcase || !opts.enabled) return null;
+    const slides = showcase.slides();
+    const count = slides.length;
+    const track = q(CFG.selectors.showcaseTrack);
+    const section = track.closest(CFG.selectors.sections) || track;
+    const { root, camera } = three;
+    const scope = createScope();
+    let destroyed = false;
+
+    // weight fades the ring in while the showcase section is on screen; spin is the ring's turn
+    const focus = { weight: 0, spin: 0, sway: 0, push: 0 };
+    const ring = new THREE.Group();
+    ring.name = 'showcase';
+    ring.visible = false;
+    root.add(ring);
+
+    const step = (Math.PI * 2) / count;
+    const loader = new THREE.TextureLoader();
+    loader.setCrossOrigin('anonymous');
+    const panels = slides.map((slide, i) => {
+      const holder = new THREE.Group();
+      holder.position.set(Math.sin(i * step) * opts.radius, 0, Math.cos(i * step) * opts.radius);
+      holder.rotation.y = i * step;
+      holder.userData.slide = i;
+      const mat = new THREE.MeshBasicMaterial({ color: 0x1b2433, transparent: true, opacity: 0, side: THREE.DoubleSide, depthWrite: false });
+      const mesh = new THREE.Mesh(new THREE.PlaneGeometry(opts.panel[0], opts.panel[1]), mat);
+      holder.add(mesh);
+      ring.add(holder);
+      return { holder, mat, mesh, slide, hydrated: false };
+    });
+
+    // a panel fetches its image and model only once its slide is active or next to it, like the
+    // lazy images of the carousel itself
+    function hydrate(i) {
+      const panel = panels[((i % count) + count) % count];
+      if (panel.hydrated) return;
+      panel.hydrated = true;
+      const { holder, mat, mesh, slide } = panel;
+      const img = q('img', slide);
+      const url = img && (img.currentSrc || img.getAttribute('src') || img.dataset.src);
+      if (url) {
+        loader.load(url, (texture) => {
+          if (destroyed) {
+            texture.dispose();
+            return;
+          }
+          texture.colorSpace = THREE.SRGBColorSpace;
+          mat.map = texture;
+          mat.color.set(0xffffff);
+          mat.needsUpdate = true;
+          three.invalidate();
+        }, undefined, () => {
+          // cross-origin or network failure: the plain panel stays
+        });
+      }
+      if (slide.dataset.model) {
+        Assets.load([{ url: slide.dataset.model }], (model) => {
+          if (destroyed) {
+            disposeObject3D(model);
+            return;
+          }
+          // fit the model into the panel's height and centre it on the holder
+          const box = new THREE.Box3().setFromObject(model);
+          const size = box.getSize(new THREE.Vector3());
+          const s = opts.panel[1] / (Math.max(size.x, size.y, size.z) || 1);
+          model.scale.setScalar(s);
+          model.position.sub(box.getCenter(new THREE.Vector3()).multiplyScalar(s));
+          holder.add(model);
+          mesh.visible = false;
+        });
+      }
+    }
+
+    const anchor = new THREE.Vector3(...opts.anchor);
+    const local = new THREE.Vector3();
+    let active = showcase.current();
+
+    // the ring is parented to root but held still in world space against root's spin and wobble
+    scope.add(three.onFrame(() => {
+      ring.visible = focus.weight > 0.01;
+      if (cameraPath) {
+        cameraPath.offset.camera[0] = focus.sway * focus.weight;
+        cameraPath.offset.camera[2] = -focus.push * focus.weight;
+      }
+      if (!ring.visible) return;
+      root.updateMatrixWorld();
+      ring.position.copy(root.worldToLocal(local.copy(anchor)));
+      const yaw = Math.atan2(camera.position.x - anchor.x, camera.position.z - anchor.z);
+      ring.rotation.y = yaw - root.rotation.y - focus.spin;
+      panels.forEach((panel, i) => {
+        panel.mat.opacity = focus.weight * (i === active ? 1 : 0.45);
+      });
+    }));
+
+    function focusOn(index, instant) {
+      const previous = active;
+      active = index;
+      [index - 1, index, index + 1].forEach(hydrate);
+      // shortest way round to the new panel
+      let delta = (index - previous) % count;
+      if (delta > count / 2) delta -= count;
+      if (delta < -count / 2) delta += count;
+      const spin = focus.spin + delta * step;
+      const sway = count > 1 ? (index / (count - 1) - 0.5) * opts.sway : 0;
+      gsap.killTweensOf(focus, 'spin,sway,push');
+      if (instant || reducedMotion()) {
+        Object.assign(focus, { spin, sway, push: 0 });
+        return;
+      }
+      const duration = CFG.showcase.duration;
+      gsap.to(focus, { spin, sway, duration, ease: 'power3.out' });
+      gsap.fromTo(focus, { push: 0 }, { push: opts.push, duration: duration / 2, ease: 'sine.out', yoyo: true, repeat: 1 });
+    }
+
+    scope.add(Events.on('showcase:changed', ({ index }) => focusOn(index)));
+    focusOn(active, true);
+
+    if (typeof ScrollTrigger !== 'undefined') {
+      const trigger = ScrollTrigger.create({
+        trigger: section,
+        start: 'top center',
+        end: 'bottom center',
+        onToggle(self) {
+          gsap.to(focus, { weight: self.isActive ? 1 : 0, duration: reducedMotion() ? 0 : 0.6, ease: 'power2.out', overwrite: 'auto' });
+        }
       });
+      scope.add(() => trigger.kill());
+    } else {
+      focus.weight = 1;
+    }
+
+    // a project opens at its data-href (or first link); otherwise its details show in a dialog
+    function openProject(index) {
+      const slide = slides[index];
+      const link = slide.dataset.href || (q('a[href]', slide) || {}).href;
+      if (link) {
+        window.open(link, '_blank', 'noopener');
+        return;
+      }
+      const title = q('.shot__title', slide);
+      const body = document.createElement('div');
+      const media = q('.shot__media', slide);
+      if (media) {
+        const figure = media.cloneNode(true);
+        figure.removeAttribute('data-anim');
+        figure.removeAttribute('style');
+        qAll('[data-src]', figure).forEach((el) => {
+          el.src = el.dataset.src;
+          delete el.dataset.src;
+        });
+        body.appendChild(figure);
+      }
+      const meta = q('.shot__meta', slide);
+      if (meta) body.appendChild(DOM.el('p', { text: meta.textContent }));
+      Modal.open({ title: title ? title.textContent : `Project ${index + 1}`, content: body, actions: [{ label: 'Close', value: true, primary: true }] });
+    }
+
+    // clicking a side panel brings it to the front; clicking the front panel opens the project
+    // (flat panels take the pointer cursor only: a back-face hull would be coplanar with them)
+    if (interaction) {
+      panels.forEach(({ holder }) => {
+        const onClick = () => {
+          if (holder.userData.slide === active) openProject(active);
+          else showcase.goto(holder.userData.slide);
+        };
+        holder.addEventListener('click', onClick);
+        scope.add(interaction.add(holder, { outline: false }));
+        scope.add(() => holder.removeEventListener('click', onClick));
+      });
+    }
+
+    scope.add(() => {
+      destroyed = true;
+      gsap.killTweensOf(focus);
+      if (cameraPath) {
+        cameraPath.offset.camera[0] = 0;
+        cameraPath.offset.camera[2] = 0;
+      }
+      root.remove(ring);
+      disposeObject3D(ring);
     });
+    return () => scope.dispose();
   }
 
   /* ------------------------------
-   * 3D scene (Three.js) setup and lightweight procedural content
+   * Adaptive quality governor (FPS-driven tier selection, persisted per device)
    * ------------------------------ */
-  function setupThree() {
-    const canvas = q(CFG.selectors.canvas);
-    if (!canvas) return null;
+  // pure state machine: feed it frame times in ms with sample(); it never reads the clock itself
+  function createQualityGovernor(options = {}) {
+    const opts = Object.assign({}, CFG.quality, options);
+    const order = opts.order;
+    let index = Math.max(0, order.indexOf(opts.initial));
+    let windowTime = 0;
+    let windowFrames = 0;
+    let sinceChange = 0;
+    let lowFor = 0;
+    let highFor = 0;
 
-    // Renderer
-    const renderer = new THREE.WebGLRenderer({ canvas, antialias: true, alpha: true });
-    renderer.setClearColor(CFG.three.clearColor, 0);
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, CFG.three.pixelRatioLimit));
-    renderer.shadowMap.enabled = true;
-    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    function change(step) {
+      const next = clamp(index + step, 0, order.length - 1);
+      if (next === index) return;
+      const from = order[index];
+      index = next;
+      sinceChange = 0;
+      lowFor = 0;
+      highFor = 0;
+      if (opts.onChange) opts.onChange(order[index], from);
+    }
 
-    // Scene and camera
-    const scene = new THREE.Scene();
-    scene.fog = new THREE.FogExp2(0x000011, 0.0022);
-    const camera = new THREE.PerspectiveCamera(CFG.three.camera.fov, window.innerWidth / window.innerHeight, CFG.three.camera.near, CFG.three.camera.far);
-    camera.position.set(CFG.three.camera.x, CFG.three.camera.y, CFG.three.camera.z);
+    // averages are taken over 500ms buckets so a single long frame does not trigger a change
+    function sample(dt) {
+      if (!(dt > 0)) return order[index];
+      sinceChange += dt;
+      windowTime += dt;
+      windowFrames += 1;
+      if (windowTime < 500) return order[index];
+      const fps = (windowFrames * 1000) / windowTime;
+      const span = windowTime;
+      windowTime = 0;
+      windowFrames = 0;
+      if (sinceChange < opts.cooldown) return order[index];
+      lowFor = fps < opts.target ? lowFor + span : 0;
+      highFor = fps >= opts.upFps ? highFor + span : 0;
+      if (lowFor >= opts.downWindow) change(-1);
+      else if (highFor >= opts.upWindow) change(1);
+      return order[index];
+    }
+
+    return {
+      sample,
+      tier: () => order[index],
+      set(name) {
+        const i = order.indexOf(name);
+        if (i !== -1 && i !== index) change(i - index);
+      }
+    };
+  }
 
-    // Controls (orbit for demonstration, but disabled by default on mobile)
-    const controls = new THREE.OrbitControls(camera, renderer.domElement);
-    controls.enableDamping = true;
-    controls.dampingFactor = 0.08;
-    controls.autoRotate = false;
-    controls.enablePan = false;
-    controls.minDistance = 2;
-    controls.maxDistance = 20;
+  // coarse device key so a tier chosen on a laptop is not reused on a phone sharing the same origin
+  function deviceKey() {
+    const dpr = window.devicePixelRatio || 1;
+    const cores = navigator.hardwareConcurrency || 0;
+    return `${CFG.quality.storageKey}:${screen.width}x${screen.height}@${dpr}:${cores}`;
+  }
 
-    // Responsive resize
-    function resize() {
-      const DPR = Math.min(window.devicePixelRatio || 1, CFG.three.pixelRatioLimit);
-      const w = window.innerWidth;
-      const h = window.innerHeight;
-      renderer.setPixelRatio(DPR);
-      renderer.setSize(w, h);
-      camera.aspect = w / h;
-      camera.updateProjectionMatrix();
+  function setupQuality(three) {
+    if (!three || !CFG.quality.enabled) return null;
+    let saved = null;
+    try {
+      saved = localStorage.getItem(deviceKey());
+    } catch (e) {
+      saved = null;
     }
+    const initial = saved && CFG.quality.tiers[saved] ? saved : CFG.quality.initial;
+    three.applyQuality(CFG.quality.tiers[initial]);
+    const governor = createQualityGovernor({
+      initial,
+      onChange(tier, from) {
+        three.applyQuality(CFG.quality.tiers[tier]);
+        document.documentElement.dataset.quality = tier;
+        Events.emit('quality:changed', { tier, from });
+        try {
+          localStorage.setItem(deviceKey(), tier);
+        } catch (e) {
+          // not persisted; the governor will settle again next visit
+        }
+      }
+    });
+    document.documentElement.dataset.quality = initial;
+    const remove = Frame.add('hud', (dt) => governor.sample(dt), { scene: true, name: 'quality' });
+    governor.destroy = () => {
+      remove();
+      delete document.documentElement.dataset.quality;
+    };
+    return governor;
+  }
 
-    on(window, 'resize', debounce(resize, 80));
-    resize();
+  /* ------------------------------
+   * GLTF model loading pipeline (shared LoadingManager + progress UI)
+   * ------------------------------ */
+  const Assets = (function () {
+    const listeners = [];
+    // one batch per load() call, holding a per-url fraction 0..1 so byte progress of parallel
+    // downloads aggregates honestly; a batch is dropped once all of its entries have settled
+    const batches = new Set();
+    let loader;
+    // highest value reported while batches overlap, so the bar never moves backwards
+    let reported = 0;
 
-    // Lights
-    const hemi = new THREE.HemisphereLight(0x88ccff, 0x0b0b17, 0.6);
-    scene.add(hemi);
-    const dir = new THREE.DirectionalLight(0xffffff, 0.9);
-    dir.position.set(6, 8, 6);
-    dir.castShadow = true;
-    dir.shadow.mapSize.set(2048, 2048);
-    dir.shadow.camera.near = 0.5;
-    dir.shadow.camera.far = 500;
-    scene.add(dir);
+    function aggregate() {
+      let sum = 0;
+      let count = 0;
+      batches.forEach((batch) => {
+        Object.keys(batch).forEach((url) => {
+          sum += batch[url];
+          count += 1;
+        });
+      });
+      return count ? sum / count : 1;
+    }
 
-    // subtle environment sphere to color ambient
-    const envMat = new THREE.MeshBasicMaterial({ color: 0x001122, side: THREE.BackSide, transparent: true, opacity: 0.12 });
-    const envSphere = new THREE.Mesh(new THREE.SphereGeometry(60, 24, 24), envMat);
-    envSphere.receiveShadow = false;
-    scene.add(envSphere);
+    function emit() {
+      reported = Math.max(reported, aggregate());
+      listeners.forEach((fn) => fn(reported));
+    }
 
-    // Group for objects
-    const root = new THREE.Group();
-    scene.add(root);
+    function getLoader() {
+      if (!loader) loader = new THREE.GLTFLoader();
+      return loader;
+    }
 
-    // Procedural torus cluster (decorative)
-    const torusGroup = new THREE.Group();
-    root.add(torusGroup);
+    function applyTransform(obj, entry) {
+      if (entry.position) obj.position.set(...entry.position);
+      if (entry.rotation) obj.rotation.set(...entry.rotation);
+      if (Array.isArray(entry.scale)) obj.scale.set(...entry.scale);
+      else if (entry.scale !== undefined) obj.scale.setScalar(num(entry.scale, 1));
+    }
 
-    (function buildTori() {
-      const count = 9;
-      for (let i = 0; i < count; i++) {
-        const geo = new THREE.TorusGeometry(0.8 + i * 0.08, 0.08 + (i % 2) * 0.03, 20, 80);
-        const mat = new THREE.MeshStandardMaterial({
-          color: new THREE.Color().setHSL((0.55 + (i / count) * 0.25) % 1, 0.7, 0.48),
-          metalness: 0.6,
-          roughness: 0.18,
-          emissive: new THREE.Color(0x001f2f).multiplyScalar(0.3)
-        });
-        const mesh = new THREE.Mesh(geo, mat);
-        mesh.castShadow = false;
-        mesh.receiveShadow = false;
-        mesh.position.set(Math.cos(i / count * Math.PI * 2) * (1.6 + i * 0.14), Math.sin(i / count * Math.PI * 2) * (0.6 + i * 0.06), -i * 0.06);
-        mesh.rotation.x = Math.PI * 0.15 * (i % 2 ? -1 : 1);
-        mesh.userData.index = i;
-        torusGroup.add(mesh);
+    function loadOne(entry, batch) {
+      if (typeof THREE === 'undefined' || !THREE.GLTFLoader) {
+        return Promise.reject(Object.assign(new Error(`Cannot load ${entry.url}: THREE.GLTFLoader is not loaded`), { entry }));
       }
-    })();
+      batch[entry.url] = 0;
+      return new Promise((resolve, reject) => {
+        getLoader().load(entry.url, (gltf) => {
+          batch[entry.url] = 1;
+          emit();
+          const model = gltf.scene;
+          applyTransform(model, entry);
+          model.userData.section = entry.section || null;
+          model.userData.manifest = entry;
+          resolve(model);
+        }, (xhr) => {
+          if (xhr && xhr.lengthComputable && xhr.total > 0) {
+            batch[entry.url] = xhr.loaded / xhr.total;
+            emit();
+          }
+        }, (err) => {
+          batch[entry.url] = 1;
+          emit();
+          reject(Object.assign(new Error(`Failed to load ${entry.url}`), { entry, cause: err }));
+        });
+      });
+    }
 
-    // Particle field (simple GPU-friendly points)
-    const particleCount = 420;
-    const particlesGeo = new THREE.BufferGeometry();
-    const pos = new Float32Array(particleCount * 3);
-    const sizes = new Float32Array(particleCount);
-    for (let i = 0; i < particleCount; i++) {
-      pos[i * 3 + 0] = (Math.random() - 0.5) * 18;
-      pos[i * 3 + 1] = (Math.random() - 0.5) * 6;
-      pos[i * 3 + 2] = (Math.random() - 0.5) * 6;
-      sizes[i] = Math.random() * 8 + 6;
+    // resolves once every critical entry is settled with { ok, errors, failed }, where failed lists
+    // the critical entries of this call that did not load; non-critical entries keep streaming in and
+    // report their own failures through onError(err, entry)
+    function load(manifest, onModel, onError) {
+      if (!batches.size) reported = 0;
+      const batch = {};
+      batches.add(batch);
+      const jobs = manifest.map((entry) => loadOne(entry, batch).then((model) => {
+        if (onModel) onModel(model, entry);
+        return model;
+      }));
+      const critical = jobs.filter((job, i) => manifest[i].critical);
+      jobs.forEach((job, i) => job.catch((err) => {
+        if (!manifest[i].critical && onError) onError(err, manifest[i]);
+      }));
+      Promise.allSettled(jobs).then(() => {
+        batches.delete(batch);
+        emit();
+      });
+      emit();
+      return Promise.allSettled(critical).then((results) => {
+        const errors = results.filter((r) => r.status === 'rejected').map((r) => r.reason);
+        return { ok: !errors.length, errors, failed: errors.map((err) => err.entry) };
+      });
     }
-    particlesGeo.setAttribute('position', new THREE.BufferAttribute(pos, 3));
-    particlesGeo.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
-    const particlesMat = new THREE.ShaderMaterial({
-      transparent: true,
-      depthWrite: false,
-      uniforms: {
-        uTime: { value: 0 },
-        uPixelRatio: { value: Math.min(window.devicePixelRatio || 1, CFG.three.pixelRatioLimit) },
-        uColor: { value: new THREE.Color(0x00f6ff) }
-      },
-      vertexShader: [
-        'attribute float size;',
-        'uniform float uTime;',
-        'uniform float uPixelRatio;',
-        'varying float vAlpha;',
-        'void main(){',
-        '  vec3 p = position;',
-        '  float t = uTime * 0.0006;',
-        '  p.x += sin(p.z * 0.1 + t * 2.0) * 0.6;',
-        '  p.y += cos(p.x * 0.06 + t * 1.2) * 0.2;',
-        '  vec4 mvPosition = modelViewMatrix * vec4(p, 1.0);',
-        '  gl_PointSize = size * (uPixelRatio) * (150.0 / -mvPosition.z);',
-        '  vAlpha = 0.7 - clamp(length(p) * 0.03, 0.0, 0.7);',
-        '  gl_Position = projectionMatrix * mvPosition;',
-        '}'
-      ].join('\n'),
-      fragmentShader: [
-        'uniform vec3 uColor;',
-        'varying float vAlpha;',
-        'void main(){',
-        '  vec2 uv = gl_PointCoord - 0.5;',
-        '  float d = length(uv);',
-        '  float a = smoothstep(0.6, 0.0, d);',
-        '  gl_FragColor = vec4(uColor, a * vAlpha);',
-        '}'
-      ].join('\n')
-    });
-    const particleSystem = new THREE.Points(particlesGeo, particlesMat);
-    particleSystem.position.set(0, 0, -8);
-    root.add(particleSystem);
 
-    // subtle ground plane (for contact)
-    const planeGeo = new THREE.PlaneGeometry(160, 40, 2, 2);
-    const planeMat = new THREE.MeshStandardMaterial({ color: 0x031219, roughness: 1, metalness: 0 });
-    const plane = new THREE.Mesh(planeGeo, planeMat);
-    plane.rotation.x = -Math.PI / 2.6;
-    plane.position.y = -6.6;
-    plane.receiveShadow = true;
-    scene.add(plane);
+    // fn(pct) gets 0..1 across every batch still loading (1 when idle); returns a function that
+    // removes the listener
+    function onProgress(fn) {
+      listeners.push(fn);
+      fn(reported);
+      return () => {
+        const i = listeners.indexOf(fn);
+        if (i !== -1) listeners.splice(i, 1);
+      };
+    }
 
-    // small orbiting point light for cinematic highlights
-    const orbitLight = new THREE.PointLight(0x00f6ff, 0.9, 48, 2);
-    orbitLight.position.set(4, 3.4, 2);
-    scene.add(orbitLight);
+    return { load, onProgress };
+  })();
 
-    // Raycaster for pointer interactions
-    const ray = new THREE.Raycaster();
-    const pointer = new THREE.Vector2(-1, -1);
+  function setReady(value) {
+    document.body.dataset.ready = String(value);
+  }
 
-    // pointer effect target
-    let pointer3D = new THREE.Vector3();
+  // model progress borrows the header progress line until the critical models are in; the page is
+  // marked aria-busy meanwhile (the line itself is a decorative scroll indicator)
+  function setupLoadingUI() {
+    const progress = q(CFG.selectors.progress);
+    const bar = q(CFG.selectors.progressBar);
+    const main = q(CFG.selectors.main);
+    if (progress) progress.dataset.state = 'loading';
+    attr(main, 'aria-busy', 'true');
+    const unsubscribe = Assets.onProgress((pct) => {
+      if (bar && progress && progress.dataset.state === 'loading') bar.style.width = `${Math.round(clamp(pct, 0, 1) * 100)}%`;
+    });
 
-    function onPointerMove(e) {
-      const x = (e.clientX / window.innerWidth) * 2 - 1;
-      const y = -(e.clientY / window.innerHeight) * 2 + 1;
-      pointer.set(x, y);
-      ray.setFromCamera(pointer, camera);
-      const planeZ = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
-      ray.ray.intersectPlane(planeZ, pointer3D);
+    function done() {
+      unsubscribe();
+      if (main) main.removeAttribute('aria-busy');
+      if (!progress || progress.dataset.state !== 'loading') return;
+      delete progress.dataset.state;
+      if (bar) bar.style.width = `${Math.round(Scroll.state().progress * 100)}%`;
     }
 
-    on(window, 'pointermove', onPointerMove, { passive: true });
+    return { done, destroy: done };
+  }
 
-    // interactive hover effect: scale nearest torus based on pointer proximity
-    function updateTori(dt) {
-      torusGroup.children.forEach((m) => {
-        const d = m.position.distanceTo(pointer3D);
-        const t = clamp(1 - d * 0.26, 0, 1);
-        const s = lerp(0.98, 1.14, easeOutCubic(t));
-        m.scale.setScalar(s);
-        m.rotation.z += 0.002 + 0.002 * (m.userData.index % 3);
-        m.rotation.y += 0.001;
-      });
+  // returns { ready, destroy }; ready resolves once the critical models are settled
+  function setupModels(three) {
+    const manifest = CFG.three.models || [];
+    const ui = setupLoadingUI();
+    const scope = createScope();
+    let destroyed = false;
+    scope.add(() => {
+      destroyed = true;
+      ui.destroy();
+    });
+    if (!three || !manifest.length) {
+      setReady(true);
+      ui.done();
+      return { ready: Promise.resolve({ ok: true, errors: [] }), destroy: () => scope.dispose() };
     }
 
-    // small wobble root
-    let elapsed = 0;
-    function animateThree(dt) {
-      elapsed += dt;
-      // rotate root slowly for parallax depth
-      root.rotation.y = Math.sin(elapsed * 0.0005) * 0.12;
-      root.position.y = Math.sin(elapsed * 0.0003) * 0.12;
-      particleSystem.material.uniforms.uTime.value = elapsed;
-      particleSystem.rotation.y += 0.0002;
-      orbitLight.position.x = Math.cos(elapsed * 0.0007) * 3.6;
-      orbitLight.position.z = Math.sin(elapsed * 0.0009) * 3.6;
-      // update interactive pieces
-      updateTori(dt);
-      controls.update();
-      renderer.render(scene, camera);
-      Perf.frameTick(renderer);
+    function mount(model) {
+      // the scene may have been torn down while this model was still downloading
+      if (destroyed) {
+        disposeObject3D(model);
+        return;
+      }
+      three.root.add(model);
+      const section = model.userData.section && q(`[data-section="${model.userData.section}"]`);
+      if (!section || typeof ScrollTrigger === 'undefined') return;
+      // section-bound models are only visible while their section is on screen
+      model.visible = false;
+      const trigger = ScrollTrigger.create({
+        trigger: section,
+        start: 'top bottom',
+        end: 'bottom top',
+        onToggle(self) {
+          model.visible = self.isActive;
+        }
+      });
+      scope.add(() => trigger.kill());
     }
 
-    // Animation loop (we will integrate with Lenis' RAF)
-    let lastTime = now();
-    function renderLoop() {
-      const t = now();
-      const dt = t - lastTime;
-      lastTime = t;
-      animateThree(dt);
-      requestAnimationFrame(renderLoop);
+    // optional models degrade quietly in the scene but are still reported, with their own retry
+    function optionalFailed(err, entry) {
+      if (destroyed) return;
+      console.warn('Optional model failed to load:', err);
+      Toast.create('A decorative 3D model could not be loaded.', {
+        type: 'warning',
+        action: { label: 'Retry', onClick: () => run([entry]) }
+      });
     }
 
-    requestAnimationFrame(renderLoop);
+    function run(entries) {
+      return Assets.load(entries, mount, optionalFailed).then((result) => {
+        if (destroyed) return result;
+        ui.done();
+        if (result.ok) {
+          setReady(true);
+        } else {
+          console.error('Model loading failed:', result.errors);
+          Toast.create('Some 3D assets failed to load.', {
+            type: 'error',
+            timeout: 10000,
+            action: { label: 'Retry', onClick: () => run(result.failed) }
+          });
+        }
+        return result;
+      });
+    }
 
-    // Expose a small API for external animations and debug
-    return {
-      renderer,
-      scene,
-      camera,
-      root,
-      resize,
-      start: () => renderLoop(),
-      dispose: function () {
-        // minimal dispose logic
-        renderer.dispose();
-        particlesGeo.dispose();
-        particleSystem.material.dispose();
-        torusGroup.children.forEach((m) => {
-          if (m.geometry) m.geometry.dispose();
-          if (m.material) m.material.dispose();
-        });
-      }
-    };
+    return { ready: run(manifest), destroy: () => scope.dispose() };
   }
 
   /* ------------------------------
    * Floating UI sparkles and particles for the DOM (tiny)
    * ------------------------------ */
   function injectParticles() {
+    const nodes = [];
     try {
       const hero = q('.hero__scene');
       if (!hero) return;
@@ -835,17 +4680,48 @@
         node.style.opacity = String(0.6 + Math.random() * 0.6);
         node.style.transform = `translate3d(0,0,${Math.random() * 8}px)`;
         hero.appendChild(node);
+        nodes.push(node);
         gsap.to(node, { y: -4 - Math.random() * 12, x: -6 + Math.random() * 12, opacity: 0.1, ease: 'sine.inOut', repeat: -1, yoyo: true, duration: 3 + Math.random() * 3, delay: Math.random() * 1.4 });
       }
     } catch (e) {
       // swallow silently
     }
+    return () => nodes.forEach((node) => {
+      gsap.killTweensOf(node);
+      node.remove();
+    });
   }
 
   /* ------------------------------
    * Initialize page scripts
    * ------------------------------ */
-  function init() {
+  // registers whatever a setup* function hands back (a teardown function, or an API object with
+  // destroy()/dispose()) on the given scope and passes the result through
+  function track(scope, result) {
+    if (typeof result === 'function') scope.add(result);
+    else if (result && typeof result.destroy === 'function') scope.add(() => result.destroy());
+    else if (result && typeof result.dispose === 'function') scope.add(() => result.dispose());
+    return result;
+  }
+
+  // html[data-scene]: 'poster' while the live scene boots, 'live' once it has drawn its first frame,
+  // 'static' when WebGL is missing, failed or was retired for the session
+  function setScene(state) {
+    document.documentElement.dataset.scene = state;
+  }
+
+  // runs fn when the browser is idle, or after `timeout` ms at the latest; returns a cancel function
+  function whenIdle(fn, timeout) {
+    if (typeof window.requestIdleCallback === 'function') {
+      const id = window.requestIdleCallback(fn, { timeout });
+      return () => window.cancelIdleCallback(id);
+    }
+    const id = setTimeout(fn, 1);
+    return () => clearTimeout(id);
+  }
+
+  // one boot path for every capability tier: the UI always mounts, the scene only when WebGL allows
+  function init(scope, caps) {
     // populate year in footer
     const yearEl = q(CFG.selectors.yearEl);
     if (yearEl) yearEl.textContent = String(new Date().getFullYear());
@@ -854,25 +4730,42 @@
     splitWords(document);
     splitChars(document);
 
+    // motion preferences decide what the setups below are allowed to animate
+    track(scope, setupMotion());
+    track(scope, setupTheme());
+
     // attach UI interactions
-    setupNavigation();
-    setupShowcase();
-    setupForm();
-    setupMagnetic();
-    setupUnderlineHover();
-    injectParticles();
+    track(scope, setupNavigation());
+    const showcase = track(scope, setupShowcase());
+    track(scope, setupForm());
+    track(scope, setupNewsletter());
+    track(scope, Motion.watch((reduced) => (reduced ? null : setupMagnetic())));
+    track(scope, setupTilt());
+    track(scope, setupUnderlineHover());
+    track(scope, Motion.watch((reduced) => (reduced ? null : injectParticles())));
 
     // Smooth scroll + GSAP bindings
-    Scroll.setup();
-    setupGSAPAnimations();
+    track(scope, Scroll.setup());
+    const revealed = new WeakSet();
+    track(scope, Motion.watch(() => setupGSAPAnimations(revealed)));
+    track(scope, setupSectionTracking());
+    track(scope, Motion.watch((reduced) => (reduced ? null : setupParallaxCSS())));
 
-    // Three.js scene
-    const threeApi = setupThree();
+    // the page is usable straight away; the live scene is layered over the poster once the browser is idle
+    const api = { three: null, toast: Toast };
+    if (caps.webgl && caps.three) {
+      scope.add(whenIdle(() => bootScene(scope, api, showcase), CFG.three.bootTimeout));
+    } else {
+      track(scope, setupModels(null));
+      setScene('static');
+      if (!caps.webgl && !caps.retired) Toast.create('WebGL not supported — showing a still version of the 3D scene.', { type: 'warning' });
+      else if (!caps.three) Toast.create('The 3D library could not be loaded — showing a still version of the 3D scene.', { type: 'warning' });
+    }
 
     // small HUD and event wiring
     // showcase dots keyboard support
     qAll(CFG.selectors.showDots).forEach((btn, i) => {
-      on(btn, 'keydown', (e) => {
+      scope.on(btn, 'keydown', (e) => {
         if (e.key === 'Enter' || e.key === ' ') {
           e.preventDefault();
           btn.click();
@@ -880,114 +4773,300 @@
       });
     });
 
-    // Modal close triggers
-    const overlay = q(CFG.selectors.overlay);
-    if (overlay) {
-      on(overlay, 'click', (e) => {
-        if (e.target === overlay) overlay.hidden = true;
-      });
-      on(q(CFG.selectors.modalClose, overlay), 'click', () => overlay.hidden = true);
-      on(q(CFG.selectors.modalOK, overlay), 'click', () => overlay.hidden = true);
-    }
-
     // tiny keyboard shortcuts
-    on(window, 'keydown', (e) => {
+    scope.on(window, 'keydown', (e) => {
       if (e.key === 'k' && (e.ctrlKey || e.metaKey)) {
         e.preventDefault();
         const input = q('.newsletter input[type="email"]');
         if (input) input.focus();
-      } else if (e.key === 'm' && e.altKey) {
-        const modal = q(CFG.selectors.overlay);
-        if (modal) {
-          modal.hidden = !modal.hidden;
-        }
+      } else if (e.code === 'KeyD' && e.altKey) {
+        e.preventDefault();
+        Diagnostics.toggle();
+      } else if (e.code === 'KeyM' && e.altKey) {
+        e.preventDefault();
+        if (Modal.count()) Modal.close();
+        else showShortcuts();
       }
     });
 
-    // performance stats update loop (separate interval)
-    setInterval(() => {
-      // update is handled by Perf.frameTick in render loop
-    }, CFG.ui.statsUpdateInterval);
+    function showShortcuts() {
+      const list = document.createElement('dl');
+      list.className = 'shortcuts';
+      [['Ctrl/⌘ + K', 'Jump to the newsletter field'], ['Alt + D', 'Toggle the diagnostics panel'], ['Alt + M', 'Show or close this dialog']].forEach(([keys, text]) => {
+        list.appendChild(DOM.el('dt', {}, [DOM.el('kbd', { text: keys })]));
+        list.appendChild(DOM.el('dd', { text }));
+      });
+      Modal.open({ title: 'Keyboard shortcuts', content: list, actions: [{ label: 'Close', value: true, primary: true }] });
+    }
+
+    if (/[?&]hud\b/.test(location.search)) Diagnostics.toggle();
 
     // greeting toast
-    setTimeout(() => {
+    const greeting = setTimeout(() => {
       Toast.create('Welcome to Futurum — scroll to explore the 3D space');
     }, 600);
+    scope.add(() => clearTimeout(greeting));
 
     // return APIs for potential dev use
-    return {
-      three: threeApi,
-      toast: Toast
-    };
+    return api;
+  }
+
+  // Three.js scene; everything bound to it lives in its own scope so it can be retired on its own
+  function bootScene(scope, api, showcase) {
+    const sceneScope = createScope();
+    scope.add(() => sceneScope.dispose());
+
+    function retire(message, type) {
+      sceneScope.dispose();
+      api.three = null;
+      setScene('static');
+      setReady(true);
+      Toast.create(message, { type, timeout: 8000 });
+    }
+
+    try {
+      const threeApi = track(sceneScope, setupThree());
+      api.three = threeApi;
+      const cameraPath = track(sceneScope, setupCameraPath(threeApi));
+      const interaction = track(sceneScope, setupInteraction(threeApi));
+      if (threeApi) threeApi.interaction = interaction;
+      const cameraModes = track(sceneScope, setupCameraModes(threeApi, cameraPath));
+      if (threeApi) threeApi.cameraModes = cameraModes;
+      track(sceneScope, setupQuality(threeApi));
+      track(sceneScope, setupModels(threeApi));
+      track(sceneScope, setupTorusLinks(threeApi, interaction));
+      track(sceneScope, setupShowcase3D(threeApi, showcase, cameraPath, interaction));
+      if (!threeApi) {
+        setScene('static');
+        return;
+      }
+      track(sceneScope, setupResilience(threeApi, (reason) => {
+        retire('The 3D scene kept losing its graphics context and has been replaced by a still version.', 'warning');
+        Events.emit('webgl:fallback', { reason });
+      }));
+      // cross-fade from the poster once a frame is on screen
+      requestAnimationFrame(() => requestAnimationFrame(() => {
+        if (api.three === threeApi) setScene('live');
+      }));
+      Events.emit('scene:ready', threeApi);
+    } catch (err) {
+      console.error('Scene initialization error:', err);
+      retire('An error occurred initializing the 3D scene. Showing a still version instead.', 'error');
+    }
   }
 
   /* ------------------------------
-   * Utility: progressive enhancement fallback for older browsers
+   * Capability detection for the boot path
    * ------------------------------ */
   function featureDetect() {
     return {
       webgl: (function () {
+        if (webglRetired()) return false;
         try {
           const canvas = document.createElement('canvas');
           return !!(window.WebGLRenderingContext && (canvas.getContext('webgl') || canvas.getContext('experimental-webgl')));
         } catch (e) {
           return false;
         }
-      })()
+      })(),
+      // the three.js module script in index.html failed (offline, blocked CDN)
+      three: typeof THREE !== 'undefined',
+      retired: webglRetired()
     };
   }
 
   /* ------------------------------
-   * Entrypoint
+   * Plugin registry: plugins declare hooks and are (re)initialized on every mount
+   *   onInit(api)                   after the runtime has mounted
+   *   onScene(three, api)           once the live 3D scene exists (it boots after mount, when idle)
+   *   onFrame(dt, time, api)        every frame, after the scene simulation
+   *   onSection({ name, element, previous }, api)
+   *   onResize({ width, height }, api)
+   *   onDestroy(api)                before the runtime is torn down
    * ------------------------------ */
-  ready(() => {
-    const feats = featureDetect();
-    if (!feats.webgl) {
-      // if WebGL not supported, show friendly notification and do not initialize 3D
-      Toast.create('WebGL not supported — 3D scene disabled, UI remains interactive.');
-      // still do UI and GSAP animations without Three.js
-      Scroll.setup();
-      setupGSAPAnimations();
-      setupNavigation();
-      setupShowcase();
-      setupForm();
-      setupMagnetic();
-      setupUnderlineHover();
-      injectParticles();
-      return;
+  const Plugins = (function () {
+    const registry = [];
+    let active = null;
+
+    function call(plugin, hook, args) {
+      if (typeof plugin[hook] !== 'function') return;
+      try {
+        plugin[hook](...args);
+      } catch (e) {
+        console.error(`Plugin "${plugin.name}" ${hook} failed:`, e);
+      }
+    }
+
+    function start(plugin, api) {
+      const scope = createScope();
+      call(plugin, 'onInit', [api]);
+      if (api.scene) call(plugin, 'onScene', [api.scene, api]);
+      scope.add(Events.on('scene:ready', (three) => call(plugin, 'onScene', [three, api])));
+      if (typeof plugin.onFrame === 'function') {
+        // late: the scene's own simulation task is only added once it boots, after the plugins
+        scope.add(Frame.add('simulation', (dt, time) => call(plugin, 'onFrame', [dt, time, api]), { late: true, name: `plugin:${plugin.name}` }));
+      }
+      scope.add(Events.on('section:changed', (e) => call(plugin, 'onSection', [e, api])));
+      scope.add(Events.on('resize', (e) => call(plugin, 'onResize', [e, api])));
+      scope.add(() => call(plugin, 'onDestroy', [api]));
+      return scope;
+    }
+
+    // plugins registered after mount start immediately; returns a function that unregisters the plugin
+    function use(plugin) {
+      if (!plugin || typeof plugin !== 'object') throw new TypeError('Futurum.use expects a plugin object');
+      if (!plugin.name) throw new TypeError('Plugins need a name');
+      if (registry.some((p) => p.plugin.name === plugin.name)) {
+        console.warn(`Plugin "${plugin.name}" is already registered`);
+        return () => {};
+      }
+      const entry = { plugin, scope: null };
+      registry.push(entry);
+      if (active) entry.scope = start(plugin, active);
+      return () => {
+        if (entry.scope) entry.scope.dispose();
+        registry.splice(registry.indexOf(entry), 1);
+      };
     }
+
+    function init(api) {
+      active = api;
+      registry.forEach((entry) => {
+        entry.scope = start(entry.plugin, api);
+      });
+    }
+
+    // onDestroy runs in reverse registration order
+    function teardown() {
+      registry.slice().reverse().forEach((entry) => {
+        if (entry.scope) entry.scope.dispose();
+        entry.scope = null;
+      });
+      active = null;
+    }
+
+    return { use, init, teardown, list: () => registry.map((e) => e.plugin.name) };
+  })();
+
+  /* ------------------------------
+   * Entrypoint: mount() / destroy() lifecycle
+   * ------------------------------ */
+  let runtime = null;
+
+  function mount() {
+    if (runtime) return runtime.api;
+    const scope = createScope();
+    scope.add(Frame.driveGsap());
+    scope.add(() => setScene('poster'));
+    const poster = q(CFG.selectors.poster);
+    if (poster && CFG.three.poster) poster.style.setProperty('--poster', `url("${CFG.three.poster}")`);
+    let api = { three: null, toast: Toast };
+    const initScope = createScope();
+    scope.add(() => initScope.dispose());
     try {
-      init();
+      api = init(initScope, featureDetect());
     } catch (err) {
-      // show error gracefully and fallback
       console.error('Initialization error:', err);
-      Toast.create('An error occurred initializing the 3D scene. UI fallback enabled.');
-      // attempt partial UI hookup
-      try {
-        setupNavigation();
-        setupShowcase();
-        setupForm();
-        setupMagnetic();
-        setupUnderlineHover();
-        setupGSAPAnimations();
-        injectParticles();
-        Scroll.setup();
-      } catch (e) {
-        // swallow
-        console.error('Fallback init error:', e);
-      }
+      // unwire whatever was set up before the failure (including the loading state of the progress
+      // line) and leave the static page usable
+      initScope.dispose();
+      setScene('static');
+      setReady(true);
+      Toast.create('An error occurred initializing the page. Interactive effects are disabled.', { type: 'error' });
     }
-  });
+    scope.on(window, 'resize', debounce(() => {
+      Events.emit('resize', { width: window.innerWidth, height: window.innerHeight });
+    }, 120));
+    runtime = { scope, api };
+    Plugins.init(Futurum);
+    scope.add(() => Plugins.teardown());
+    Events.emit('runtime:mounted', Futurum);
+    return api;
+  }
+
+  // tears the page runtime down so it can be mounted again (e.g. when embedded in an SPA route)
+  function destroy() {
+    if (!runtime) return;
+    Events.emit('runtime:destroyed', Futurum);
+    runtime.scope.dispose();
+    runtime = null;
+    Diagnostics.destroy();
+    Toast.clear();
+    Modal.closeAll();
+    setReady(false);
+  }
+
+  /**
+   * Public runtime API, available as window.Futurum once script.js has run.
+   *
+   *   Futurum.use({ name: 'my-plugin', onInit(api) {}, onFrame(dt) {}, onSection(e) {} });
+   *   Futurum.events.on('form:submitted', ({ payload, queued }) => {});
+   *   Futurum.scroll.scrollTo('#contact', { offset: -72 });
+   *
+   * Events: runtime:mounted, runtime:destroyed, section:changed, form:submitted,
+   * newsletter:subscribed, quality:changed, theme:changed, motion:changed, resize,
+   * scene:ready, controls:changed, webgl:lost, webgl:restored, webgl:fallback.
+   * `Futurum.scene.cameraModes.set('drag-orbit')` switches the camera mode (off, hover-parallax,
+   * drag-orbit, auto-tour) and emits controls:changed.
+   * `Futurum.scene.interaction.add(object)` makes any object in the scene pickable: it then receives
+   * pointerenter, pointerleave and click events through object.addEventListener().
+   * `Futurum.scene.post.update()` applies changes made to `config.three.post` at runtime.
+   * `Futurum.scene.loseContext(ms)` forces a context loss (restored after `ms`) to exercise recovery.
+   * `scene` is the object returned by setupThree() (renderer, scene, camera, root, …) or null
+   * while the scene is still booting (see the scene:ready event), when WebGL is unavailable or the
+   * runtime is not mounted.
+   * `configIssues()` lists keys rejected while layering the runtime configuration into `config`.
+   * `quality.createGovernor(options)` builds a standalone tier governor that never reads the clock, so
+   * it can be driven by a simulated frame-time feed:
+   *   const g = Futurum.quality.createGovernor({ initial: 'high', onChange: (tier, from) => {} });
+   *   for (let t = 0; t < 5000; t += 40) g.sample(40); // 25fps: one step down after cooldown + downWindow
+   * `assets.load(manifest, onModel, onError)` loads glTF entries ({ url, critical, position, … }) and
+   * `assets.onProgress(fn)` follows their combined progress (0..1, never moving backwards).
+   * `form.setTransport(fn)` routes contact-form sends (and queue flushes) through `fn`, e.g. to a local
+   * stub server in tests; `form.setTransport(null)` goes back to fetch.
+   * `newsletter.setProvider({ subscribe: (email) => Promise.resolve({ state: 'pending' }) })` plugs in
+   * a mailing-list provider; `setProvider(null)` goes back to the endpoint (or the demo without one).
+   */
+  const Futurum = {
+    config: CFG,
+    configIssues: Config.issues,
+    events: { on: Events.on, off: Events.off, once: Events.once, emit: Events.emit },
+    scroll: { scrollTo: Scroll.scrollTo, subscribe: Scroll.subscribe, state: Scroll.state, lenis: Scroll.lenis },
+    toast: Toast,
+    modal: { open: Modal.open, close: Modal.close, closeAll: Modal.closeAll },
+    motion: { reduced: Motion.reduced, preference: Motion.preference, set: Motion.set, toggle: Motion.toggle },
+    theme: { get: Theme.get, set: Theme.set, toggle: Theme.toggle, reset: Theme.reset, list: Theme.list },
+    frame: { add: Frame.add, stats: Frame.stats },
+    quality: { createGovernor: createQualityGovernor },
+    assets: { load: Assets.load, onProgress: Assets.onProgress },
+    form: { send: FormSubmit.send, flush: FormSubmit.flush, pending: FormSubmit.pending, setTransport: FormSubmit.setTransport },
+    newsletter: { subscribe: Newsletter.subscribe, setProvider: Newsletter.setProvider, cooldownLeft: Newsletter.cooldownLeft },
+    diagnostics: Diagnostics,
+    use: Plugins.use,
+    plugins: Plugins.list,
+    get scene() {
+      return runtime ? runtime.api.three : null;
+    },
+    get mounted() {
+      return !!runtime;
+    },
+    mount,
+    destroy
+  };
+
+  window.Futurum = Futurum;
+
+  // the configuration layers are merged into CFG before any setup* function runs
+  // a configuration failure still mounts the page on the defaults
+  ready(() => Config.load().then(mount).catch((err) => {
+    console.error('Configuration error:', err);
+    mount();
+  }));
 
   /* ------------------------------
-   * Extra: enhance focus styles for keyboard users, detect reduced motion
+   * Extra: enhance focus styles for keyboard users (reduced motion lives in Motion)
    * ------------------------------ */
   (function enhanceAccessibility() {
-    const prefersReduced = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-    if (prefersReduced) {
-      gsap.globalTimeline.timeScale(0.6);
-      document.documentElement.classList.add('reduced-motion');
-    }
     document.addEventListener('keyup', (e) => {
       if (e.key === 'Tab') document.documentElement.classList.add('user-is-tabbing');
     });
@@ -1019,9 +5098,9 @@
    * ------------------------------ */
   function setupParallaxCSS() {
     const nodes = qAll('[data-parallax]');
-    if (!nodes.length) return;
+    if (!nodes.length) return null;
     function update() {
-      const scrollerTop = window.scrollY || document.documentElement.scrollTop;
+      const scrollerTop = Scroll.state().y;
       nodes.forEach((n) => {
         const speed = num(n.dataset.parallax, 0.2);
         const rect = n.getBoundingClientRect();
@@ -1032,18 +5111,13 @@
         n.style.setProperty('--p', String(Math.abs(p)));
       });
     }
-    on(window, 'scroll', throttle(update, 12), { passive: true });
-    on(window, 'resize', debounce(update, 80));
-    update();
+    const unsubscribe = Scroll.subscribe(update);
+    return () => {
+      unsubscribe();
+      nodes.forEach((n) => n.style.removeProperty('--p'));
+    };
   }
 
-  /* ------------------------------
-   * Run smaller enhancements after load
-   * ------------------------------ */
-  ready(() => {
-    setupParallaxCSS();
-  });
-
   /* ------------------------------
    * End of script
    * ------------------------------ */